@@ -0,0 +1,26 @@
+// =============================================================================
+// CartError
+// =============================================================================
+
+/**
+ * Error thrown by cart adapters when a cart request fails.
+ * Carries the HTTP status and Shopify's human readable description.
+ * @extends Error
+ */
+class CartError extends Error {
+	/**
+	 * @param {string} message - Short error message (e.g. Shopify's "Cart Error")
+	 * @param {Object} [details={}] - Error details
+	 * @param {number|null} [details.status=null] - HTTP status code, null for network failures
+	 * @param {string|null} [details.description=null] - Shopify's description of what went wrong
+	 */
+	constructor(message, details = {}) {
+		super(message);
+		this.name = 'CartError';
+		this.status = details.status ?? null;
+		this.description = details.description ?? null;
+	}
+}
+
+export { CartError };
+export default CartError;
@@ -18,6 +18,8 @@ class CartItem extends HTMLElement {
 	#itemData = null;
 	#cartData = null;
 	#lastRenderedHTML = '';
+	#quantityTimer = null;
+	#errorMessage = null;
 
 	/**
 	 * Set the template function for rendering cart items
@@ -45,6 +47,14 @@ class CartItem extends HTMLElement {
 		CartItem.#processingTemplate = templateFn;
 	}
 
+	/**
+	 * Whether any cart item template has been registered yet
+	 * @returns {boolean}
+	 */
+	static get hasTemplates() {
+		return CartItem.#templates.size > 0;
+	}
+
 	/**
 	 * Create a cart item with appearing animation
 	 * @param {Object} itemData - Shopify cart item data
@@ -102,6 +112,7 @@ class CartItem extends HTMLElement {
 		// Find child elements and attach listeners
 		_.#queryDOM();
 		_.#updateLinePriceElements();
+		_.#updateErrorElements();
 		_.#attachListeners();
 
 		// If we started with 'appearing' state, handle the entry animation
@@ -117,8 +128,9 @@ class CartItem extends HTMLElement {
 	}
 
 	disconnectedCallback() {
-		// Cleanup event listeners
+		// Cleanup event listeners and any quantity change still waiting to be sent
 		this.#detachListeners();
+		this.#cancelQuantityChange();
 	}
 
 	/**
@@ -173,7 +185,18 @@ class CartItem extends HTMLElement {
 		const removeButton = e.target.closest('[data-action-remove-item]');
 		if (removeButton) {
 			e.preventDefault();
+			this.#cancelQuantityChange();
 			this.#emitRemoveEvent();
+			return;
+		}
+
+		// Check if clicked element moves the line between the cart and the saved list
+		if (e.target.closest('[data-action-save-for-later]')) {
+			e.preventDefault();
+			this.#emitListEvent('cart-item:save-for-later');
+		} else if (e.target.closest('[data-action-move-to-cart]')) {
+			e.preventDefault();
+			this.#emitListEvent('cart-item:move-to-cart');
 		}
 	}
 
@@ -183,15 +206,72 @@ class CartItem extends HTMLElement {
 	#handleChange(e) {
 		// Check if event is from quantity-input component
 		if (e.type === 'quantity-input:change') {
-			this.#emitQuantityChangeEvent(e.detail.value);
+			this.#scheduleQuantityChange(e.detail.value);
+			return;
+		}
+
+		// Check if changed element swaps the line's variant
+		const variantInput = e.target.closest('[data-action-change-variant]');
+		if (variantInput) {
+			this.#emitVariantChangeEvent(variantInput.value);
+			return;
+		}
+
+		// Check if changed element edits a line item property
+		const propertyInput = e.target.closest('[data-action-edit-property]');
+		if (propertyInput) {
+			this.#emitPropertiesChangeEvent();
 			return;
 		}
 
 		// Check if changed element is a quantity input
 		const quantityInput = e.target.closest('[data-cart-quantity]');
 		if (quantityInput) {
-			this.#emitQuantityChangeEvent(quantityInput.value);
+			this.#scheduleQuantityChange(quantityInput.value);
+		}
+	}
+
+	/**
+	 * Get the quantity debounce window in milliseconds.
+	 * Read from this element's quantity-debounce attribute, then the parent cart-panel's.
+	 * @returns {number} Debounce window, 0 to send changes immediately
+	 */
+	get quantityDebounce() {
+		const source = this.hasAttribute('quantity-debounce')
+			? this
+			: this.closest('cart-panel[quantity-debounce]');
+		const delay = parseInt(source?.getAttribute('quantity-debounce'));
+		return Number.isNaN(delay) ? 0 : Math.max(0, delay);
+	}
+
+	/**
+	 * Coalesce rapid quantity changes into a single event with the final quantity
+	 * @private
+	 */
+	#scheduleQuantityChange(quantity) {
+		const _ = this;
+		const delay = _.quantityDebounce;
+
+		_.#cancelQuantityChange();
+
+		if (!delay) {
+			_.#emitQuantityChangeEvent(quantity);
+			return;
 		}
+
+		_.#quantityTimer = setTimeout(() => {
+			_.#quantityTimer = null;
+			_.#emitQuantityChangeEvent(quantity);
+		}, delay);
+	}
+
+	/**
+	 * Drop a quantity change that is still waiting out the debounce window
+	 * @private
+	 */
+	#cancelQuantityChange() {
+		clearTimeout(this.#quantityTimer);
+		this.#quantityTimer = null;
 	}
 
 	/**
@@ -223,6 +303,22 @@ class CartItem extends HTMLElement {
 		);
 	}
 
+	/**
+	 * Emit save-for-later or move-to-cart event
+	 * @param {string} eventName - Event to dispatch
+	 */
+	#emitListEvent(eventName) {
+		this.dispatchEvent(
+			new CustomEvent(eventName, {
+				bubbles: true,
+				detail: {
+					cartKey: this.cartKey,
+					element: this,
+				},
+			})
+		);
+	}
+
 	/**
 	 * Emit quantity change event
 	 */
@@ -239,6 +335,57 @@ class CartItem extends HTMLElement {
 		);
 	}
 
+	/**
+	 * Emit variant change event
+	 * @param {string} variantId - The variant id to swap the line to
+	 */
+	#emitVariantChangeEvent(variantId) {
+		this.dispatchEvent(
+			new CustomEvent('cart-item:variant-change', {
+				bubbles: true,
+				detail: {
+					cartKey: this.cartKey,
+					variantId,
+					element: this,
+				},
+			})
+		);
+	}
+
+	/**
+	 * Emit properties change event with the line's full set of properties
+	 */
+	#emitPropertiesChangeEvent() {
+		const properties = { ...(this.#itemData?.properties || {}) };
+
+		this.querySelectorAll('[data-action-edit-property]').forEach((input) => {
+			const name = input.getAttribute('data-action-edit-property');
+			let value = input.value;
+
+			// A checkbox's .value defaults to "on", so read the value attribute like cart attributes do
+			if (input.type === 'checkbox') {
+				value = input.checked ? input.getAttribute('value') || 'Yes' : '';
+			}
+
+			if (value === '') {
+				delete properties[name];
+			} else {
+				properties[name] = value;
+			}
+		});
+
+		this.dispatchEvent(
+			new CustomEvent('cart-item:properties-change', {
+				bubbles: true,
+				detail: {
+					cartKey: this.cartKey,
+					properties,
+					element: this,
+				},
+			})
+		);
+	}
+
 	/**
 	 * Render cart item from data using the appropriate template
 	 */
@@ -287,9 +434,10 @@ class CartItem extends HTMLElement {
 
 		// Compare with previously rendered HTML
 		if (newHTML === _.#lastRenderedHTML) {
-			// HTML hasn't changed, just reset processing state
+			// HTML hasn't changed, just reset processing state.
+			// Leave the input alone while the shopper's change is still debouncing.
 			_.setState('ready');
-			_.#updateQuantityInput();
+			if (!_.#quantityTimer) _.#updateQuantityInput();
 			return;
 		}
 
@@ -298,6 +446,7 @@ class CartItem extends HTMLElement {
 		_.#render();
 		_.#queryDOM();
 		_.#updateLinePriceElements();
+		_.#updateErrorElements();
 	}
 
 	/**
@@ -311,8 +460,9 @@ class CartItem extends HTMLElement {
 			return '';
 		}
 
-		// Determine which template to use
-		const templateName = this.#itemData.properties?._cart_template || 'default';
+		// Determine which template to use, letting a template attribute override the line's own
+		const templateName =
+			this.getAttribute('template') || this.#itemData.properties?._cart_template || 'default';
 		const templateFn = CartItem.#templates.get(templateName) || CartItem.#templates.get('default');
 
 		if (!templateFn) {
@@ -334,6 +484,11 @@ class CartItem extends HTMLElement {
 		if (quantityInput) {
 			quantityInput.value = this.#itemData.quantity;
 		}
+
+		// Plain [data-cart-quantity] inputs outside a quantity-input component
+		this.querySelectorAll('[data-cart-quantity]').forEach((input) => {
+			if (!input.closest('quantity-input')) input.value = this.#itemData.quantity;
+		});
 	}
 
 	/**
@@ -351,6 +506,18 @@ class CartItem extends HTMLElement {
 		});
 	}
 
+	/**
+	 * Write the current error message into data-content-cart-item-error elements
+	 * @private
+	 */
+	#updateErrorElements() {
+		const errorElements = this.querySelectorAll('[data-content-cart-item-error]');
+
+		errorElements.forEach((element) => {
+			element.textContent = this.#errorMessage || '';
+		});
+	}
+
 	/**
 	 * Format currency value from cents to dollar string
 	 * @param {number} cents - Price in cents
@@ -379,6 +546,36 @@ class CartItem extends HTMLElement {
 		}
 	}
 
+	/**
+	 * Get the error message currently shown on this item
+	 * @returns {string|null}
+	 */
+	get error() {
+		return this.#errorMessage;
+	}
+
+	/**
+	 * Show an error message inside this item.
+	 * Sets the error attribute for styling and fills data-content-cart-item-error elements.
+	 * @param {string} message - Message to show
+	 */
+	setError(message) {
+		this.#errorMessage = message;
+		this.setAttribute('error', message);
+		this.#updateErrorElements();
+	}
+
+	/**
+	 * Clear the error message shown inside this item
+	 */
+	clearError() {
+		if (this.#errorMessage === null) return;
+
+		this.#errorMessage = null;
+		this.removeAttribute('error');
+		this.#updateErrorElements();
+	}
+
 	/**
 	 * Gracefully animate this cart item closed, then remove it
 	 */
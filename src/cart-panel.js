@@ -1,6 +1,11 @@
 import './cart-panel.css';
 import EventEmitter from '@magic-spells/event-emitter';
 import { CartItem, CartItemContent, CartItemProcessing } from './cart-item.js';
+import { CartError } from './cart-error.js';
+import { ShopifyAjaxAdapter } from './shopify-ajax-adapter.js';
+import { MemoryCartAdapter } from './memory-cart-adapter.js';
+import { StorefrontCartAdapter } from './storefront-cart-adapter.js';
+import { ShippingEstimator } from './shipping-estimator.js';
 
 // =============================================================================
 // CartPanel Component
@@ -12,26 +17,128 @@ import { CartItem, CartItemContent, CartItemProcessing } from './cart-item.js';
  * @extends HTMLElement
  */
 class CartPanel extends HTMLElement {
+	// Cart adapter shared by every panel without an adapter of its own
+	static #defaultAdapter = new ShopifyAjaxAdapter();
+
+	// Adapter methods that are safe to repeat after a failed attempt
+	static #idempotentMethods = new Set(['get', 'change', 'update', 'clear']);
+
+	// Adapter methods that accept Section Rendering API options
+	static #sectionMethods = new Set(['add', 'change', 'update']);
+
+	#adapter = null;
 	#currentCart = null;
 	#eventEmitter;
 	#isInitialRender = true;
+	#handlers = {};
+	#queue = Promise.resolve();
+	#pendingCount = 0;
+	#mutationVersion = 0;
+	#deferredRender = null;
+	#idleResolvers = [];
+	#onlineResolvers = [];
+	#saveTimers = new Map();
+	#attributeValidators = new Map();
+	#clearConfirmation = null;
+	#clearUndo = null;
+	#removedItems = new Map();
+	#removedItemTemplate = null;
+	#isInitialSavedRender = true;
+	#syncChannel = null;
+	#syncId = Math.random().toString(36).slice(2);
+	#watchTimer = null;
+	#externalCheck = null;
 
 	constructor() {
 		super();
 		this.#eventEmitter = new EventEmitter();
+
+		// Bind document-level handlers so they can be removed on disconnect
+		this.#handlers = {
+			productFormSubmit: this.#handleProductFormSubmit.bind(this),
+			online: this.#handleOnline.bind(this),
+			offline: this.#handleOffline.bind(this),
+			syncMessage: (e) => this.#applySyncedCart(e.data),
+			syncStorage: this.#handleSyncStorage.bind(this),
+			watchVisibility: this.#handleWatchVisibility.bind(this),
+			watchFocus: () => this.checkForExternalChanges(),
+		};
 	}
 
 	connectedCallback() {
 		this.#attachListeners();
+		this.#updateQueueState();
+		this.#connectSync();
+		this.#startWatching();
 
-		// Load cart data immediately unless manual mode is enabled
+		// Load cart data immediately unless manual mode is enabled, painting the last
+		// known cart while the fresh one loads. The paint waits a microtask so templates
+		// registered right after importing the module are in place.
 		if (!this.hasAttribute('manual')) {
+			queueMicrotask(() => this.#renderSnapshot());
 			this.refreshCart();
 		}
 	}
 
 	disconnectedCallback() {
-		// Clean up handled by garbage collection
+		// Listeners on the element itself are garbage collected with it
+		document.removeEventListener('submit', this.#handlers.productFormSubmit);
+		window.removeEventListener('online', this.#handlers.online);
+		window.removeEventListener('offline', this.#handlers.offline);
+		this.#disconnectSync();
+		this.#stopWatching();
+	}
+
+	// =========================================================================
+	// Public API - Cart Adapter
+	// =========================================================================
+
+	/**
+	 * Set the cart adapter used by every cart panel without its own adapter
+	 * @param {Object} adapter - Object implementing get, add, change, update and clear
+	 */
+	static setAdapter(adapter) {
+		CartPanel.#validateAdapter(adapter);
+		CartPanel.#defaultAdapter = adapter;
+	}
+
+	/**
+	 * Validate that an adapter implements every cart operation
+	 * @private
+	 */
+	static #validateAdapter(adapter) {
+		const methods = ['get', 'add', 'change', 'update', 'clear'];
+		const missing = methods.filter((method) => typeof adapter?.[method] !== 'function');
+		if (missing.length) {
+			throw new Error(`Cart adapter must implement: ${missing.join(', ')}`);
+		}
+	}
+
+	/**
+	 * Set the cart adapter for this panel only
+	 * @param {Object} adapter - Object implementing get, add, change, update and clear
+	 * @returns {CartPanel} Returns this for method chaining
+	 */
+	setAdapter(adapter) {
+		CartPanel.#validateAdapter(adapter);
+		this.#adapter = adapter;
+		return this;
+	}
+
+	/**
+	 * Get the cart adapter in use by this panel
+	 * @returns {Object} Cart adapter
+	 */
+	get adapter() {
+		return this.#adapter || CartPanel.#defaultAdapter;
+	}
+
+	/**
+	 * Routes root passed to the adapter, from the routes-root attribute
+	 * @returns {string|null} Routes root such as '/en-ca/', or null to use Shopify.routes.root
+	 */
+	get routesRoot() {
+		return this.getAttribute('routes-root') || null;
 	}
 
 	// =========================================================================
@@ -98,48 +205,121 @@ class CartPanel extends HTMLElement {
 	// =========================================================================
 
 	/**
-	 * Fetch current cart data from Shopify
+	 * Fetch current cart data through the cart adapter
 	 * @returns {Promise<Object>} Cart data object
 	 */
 	getCart() {
-		return fetch('/cart.json', {
-			credentials: 'same-origin',
-		})
-			.then((response) => {
-				if (!response.ok) {
-					throw Error(response.statusText);
-				}
-				return response.json();
-			})
-			.catch((error) => {
-				console.error('Error fetching cart:', error);
-				return { error: true, message: error.message };
-			});
+		return this.#callAdapter('get', [], 'Error fetching cart:', { operation: 'get' });
 	}
 
 	/**
-	 * Update cart item quantity on Shopify
+	 * Update cart item quantity through the cart adapter
 	 * @param {string|number} key - Cart item key/ID
 	 * @param {number} quantity - New quantity (0 to remove)
 	 * @returns {Promise<Object>} Updated cart data object
 	 */
 	updateCartItem(key, quantity) {
-		return fetch('/cart/change.json', {
-			method: 'POST',
-			credentials: 'same-origin',
-			body: JSON.stringify({ id: key, quantity: quantity }),
-			headers: { 'Content-Type': 'application/json' },
-		})
-			.then((response) => {
-				if (!response.ok) {
-					throw Error(response.statusText);
-				}
-				return response.json();
-			})
-			.catch((error) => {
-				console.error('Error updating cart item:', error);
-				return { error: true, message: error.message };
+		return this.#callAdapter(
+			'change',
+			[{ id: key, quantity: quantity }],
+			'Error updating cart item:',
+			{
+				operation: 'change',
+				key,
+			}
+		);
+	}
+
+	/**
+	 * Change several line quantities in a single /cart/update.json request, then render
+	 * the result once. Every affected cart-item shows its processing state meanwhile.
+	 * @param {Object} updates - Quantities keyed by line key (0 to remove), e.g. { [key]: 2 }
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	async updateCartItems(updates) {
+		const _ = this;
+		const entries = Object.entries(updates || {}).map(([key, quantity]) => [
+			key,
+			parseInt(quantity),
+		]);
+
+		if (entries.some(([, quantity]) => Number.isNaN(quantity) || quantity < 0)) {
+			throw new Error('Cart item quantities must be non-negative numbers');
+		}
+		if (!entries.length) return _.whenIdle();
+
+		const elements = entries.map(([key]) => _.#findCartItem(key)).filter(Boolean);
+		elements.forEach((element) => {
+			element.clearError();
+			element.setState('processing');
+		});
+
+		return _.#enqueue(async () => {
+			const updatedCart = await _.#callAdapter(
+				'update',
+				[{ updates: Object.fromEntries(entries) }],
+				'Error updating cart items:',
+				{ operation: 'update-items' }
+			);
+
+			if (!updatedCart || updatedCart.error) {
+				// Shopify rejects the whole request, so every line keeps its server quantity
+				elements.forEach((element) => {
+					element.setData(element.itemData);
+					_.#showCartItemError(element.getAttribute('key'), updatedCart);
+				});
+				return updatedCart;
+			}
+
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:items-updated', {
+				updates: Object.fromEntries(entries),
+				cart: _.#addCalculatedFields(updatedCart),
+			});
+
+			return updatedCart;
+		});
+	}
+
+	/**
+	 * Add one or more variants to the cart, then refresh the panel
+	 * @param {Object|Array<Object>} items - Line item(s) with id, quantity, properties, selling_plan
+	 * @param {Object} [options={}] - Add options
+	 * @param {boolean} [options.show=false] - Open the panel via show() after adding
+	 * @param {HTMLElement} [options.triggerElement=null] - Element passed to show() for focus return
+	 * @returns {Promise<Object>} Updated cart data object, or an error object whose operation
+	 *   is 'add' when the add failed and 'get' when only the refresh after it failed
+	 */
+	async addToCart(items, options = {}) {
+		const _ = this;
+		const { show = false, triggerElement = null } = options;
+		const lines = (Array.isArray(items) ? items : [items]).map((item) =>
+			_.#normalizeLineItem(item)
+		);
+
+		return _.#enqueue(async () => {
+			const added = await _.#callAdapter('add', [lines], 'Error adding to cart:', {
+				operation: 'add',
+			});
+			if (!added || added.error) return added;
+
+			// Fetch the full cart so new lines animate in through the normal diff
+			const cartObj = await _.getCart();
+			if (!cartObj || cartObj.error) return cartObj;
+
+			if (show && _.#findDialogPanel()) {
+				_.show(triggerElement, cartObj);
+			} else {
+				_.#renderCart(cartObj, 'cart-panel:updated');
+			}
+
+			_.#emit('cart-panel:added', {
+				items: added.items || [added],
+				cart: _.#addCalculatedFields(cartObj),
 			});
+
+			return cartObj;
+		});
 	}
 
 	/**
@@ -149,6 +329,9 @@ class CartPanel extends HTMLElement {
 	 */
 	async refreshCart(cartObj = null) {
 		const _ = this;
+		const isFetch = !cartObj;
+		const startVersion = _.#mutationVersion;
+		const startPending = _.#pendingCount;
 
 		// Fetch from server if no cart object provided
 		cartObj = cartObj || (await _.getCart());
@@ -157,328 +340,2445 @@ class CartPanel extends HTMLElement {
 			return cartObj;
 		}
 
-		_.#currentCart = cartObj;
-		_.#renderCartItems(cartObj);
-		_.#renderCartPanel(cartObj);
-
-		const cartWithCalculatedFields = _.#addCalculatedFields(cartObj);
-		_.#emit('cart-panel:refreshed', { cart: cartWithCalculatedFields });
-		_.#emit('cart-panel:data-changed', cartWithCalculatedFields);
+		// A mutation overlapped the fetch, so its response is newer than this cart
+		if (isFetch && (startPending > 0 || startVersion !== _.#mutationVersion)) {
+			return _.whenIdle();
+		}
 
+		_.#renderCart(cartObj, 'cart-panel:refreshed');
 		return cartObj;
 	}
 
+	/**
+	 * Refetch the cart and re-render it if something outside the panel changed it.
+	 * Runs automatically on focus, tab visibility and the watch-interval poll when the
+	 * watch-external attribute is set.
+	 * @returns {Promise<Object|null>} The change diff, or null when nothing changed
+	 */
+	checkForExternalChanges() {
+		const _ = this;
+
+		// Focus and visibilitychange fire together, so share one fetch
+		if (_.#externalCheck) return _.#externalCheck;
+
+		_.#externalCheck = _.#fetchExternalChanges().finally(() => {
+			_.#externalCheck = null;
+		});
+		return _.#externalCheck;
+	}
+
 	// =========================================================================
-	// Public API - Templates
+	// Public API - Request Queue
 	// =========================================================================
 
 	/**
-	 * Set the template function for cart items
-	 * @param {string} templateName - Name of the template
-	 * @param {Function} templateFn - Function that takes (itemData, cartData) and returns HTML string
+	 * Number of cart mutations queued or in flight
+	 * @returns {number}
 	 */
-	setCartItemTemplate(templateName, templateFn) {
-		CartItem.setTemplate(templateName, templateFn);
+	get pendingCount() {
+		return this.#pendingCount;
 	}
 
 	/**
-	 * Set the processing template function for cart items
-	 * @param {Function} templateFn - Function that returns HTML string for processing state
+	 * Wait for every queued cart mutation to settle
+	 * @returns {Promise<Object>} Resolves with the current cart once the queue is idle
 	 */
-	setCartItemProcessingTemplate(templateFn) {
-		CartItem.setProcessingTemplate(templateFn);
+	whenIdle() {
+		if (this.#pendingCount === 0) return Promise.resolve(this.#currentCart);
+		return new Promise((resolve) => this.#idleResolvers.push(resolve));
 	}
 
 	// =========================================================================
-	// Private Methods - Core
+	// Public API - Cart Note
 	// =========================================================================
 
 	/**
-	 * Find the nearest dialog-panel ancestor
-	 * @private
+	 * Save the cart note (order note / gift message)
+	 * @param {string} note - New note text, empty string to clear
+	 * @returns {Promise<Object>} Updated cart data object
 	 */
-	#findDialogPanel() {
-		return this.closest('dialog-panel');
-	}
+	setNote(note) {
+		const _ = this;
+		const noteElements = _.querySelectorAll('[data-cart-note]');
 
-	/**
-	 * Emit an event via EventEmitter and native CustomEvent
-	 * @private
-	 */
-	#emit(eventName, data = null) {
-		this.#eventEmitter.emit(eventName, data);
+		_.#cancelSave('note');
+		noteElements.forEach((element) => element.setAttribute('state', 'saving'));
 
-		this.dispatchEvent(
-			new CustomEvent(eventName, {
-				detail: data,
-				bubbles: true,
-			})
-		);
-	}
+		return _.#enqueue(async () => {
+			const updatedCart = await _.#callAdapter('update', [{ note }], 'Error saving cart note:', {
+				operation: 'note',
+			});
 
-	/**
-	 * Attach event listeners
-	 * @private
-	 */
-	#attachListeners() {
-		// Handle close buttons
-		this.addEventListener('click', (e) => {
-			if (!e.target.closest('[data-action-hide-cart]')) return;
-			this.hide();
-		});
+			if (!updatedCart || updatedCart.error) {
+				noteElements.forEach((element) => element.setAttribute('state', 'error'));
+				return updatedCart;
+			}
 
-		// Handle cart item remove events
-		this.addEventListener('cart-item:remove', (e) => {
-			this.#handleCartItemRemove(e);
-		});
+			noteElements.forEach((element) => element.setAttribute('state', 'saved'));
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:note-changed', {
+				note: updatedCart.note ?? note,
+				cart: _.#addCalculatedFields(updatedCart),
+			});
 
-		// Handle cart item quantity change events
-		this.addEventListener('cart-item:quantity-change', (e) => {
-			this.#handleCartItemQuantityChange(e);
+			return updatedCart;
 		});
 	}
 
 	// =========================================================================
-	// Private Methods - Cart Item Event Handlers
+	// Public API - Cart Attributes
 	// =========================================================================
 
 	/**
-	 * Handle cart item removal
-	 * @private
+	 * Save cart attributes, merging with the existing ones (empty values remove an attribute)
+	 * @param {Object} attributes - Attribute values keyed by name
+	 * @returns {Promise<Object>} Updated cart data object
 	 */
-	#handleCartItemRemove(e) {
+	setAttributes(attributes) {
 		const _ = this;
-		const { cartKey, element } = e.detail;
 
-		element.setState('processing');
+		// Run validators first so invalid values never reach the server
+		for (const [name, value] of Object.entries(attributes)) {
+			const message = _.#validateAttribute(name, value, attributes);
+			if (message) {
+				_.#emit('cart-panel:attributes-invalid', { name, value, message });
+				return Promise.resolve({ error: true, message, attribute: name });
+			}
+		}
 
-		_.updateCartItem(cartKey, 0)
-			.then((updatedCart) => {
-				if (updatedCart && !updatedCart.error) {
-					_.#currentCart = updatedCart;
-					_.#renderCartItems(updatedCart);
-					_.#renderCartPanel(updatedCart);
-
-					const cartWithCalculatedFields = _.#addCalculatedFields(updatedCart);
-					_.#emit('cart-panel:updated', { cart: cartWithCalculatedFields });
-					_.#emit('cart-panel:data-changed', cartWithCalculatedFields);
-				} else {
-					element.setState('ready');
-					console.error('Failed to remove cart item:', cartKey);
-				}
-			})
-			.catch((error) => {
-				element.setState('ready');
-				console.error('Error removing cart item:', error);
+		const inputs = _.#getAttributeInputs().filter((input) =>
+			Object.hasOwn(attributes, input.getAttribute('data-cart-attribute'))
+		);
+		inputs.forEach((input) => input.setAttribute('state', 'saving'));
+
+		return _.#enqueue(async () => {
+			const updatedCart = await _.#callAdapter(
+				'update',
+				[{ attributes }],
+				'Error saving cart attributes:',
+				{ operation: 'attributes' }
+			);
+
+			if (!updatedCart || updatedCart.error) {
+				inputs.forEach((input) => input.setAttribute('state', 'error'));
+				return updatedCart;
+			}
+
+			inputs.forEach((input) => input.setAttribute('state', 'saved'));
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:attributes-changed', {
+				attributes: updatedCart.attributes || {},
+				changed: attributes,
+				cart: _.#addCalculatedFields(updatedCart),
 			});
+
+			return updatedCart;
+		});
 	}
 
 	/**
-	 * Handle cart item quantity change
-	 * @private
+	 * Register a validator for a cart attribute
+	 * @param {string} name - Attribute name
+	 * @param {Function} validatorFn - Function that takes (value, attributes) and returns
+	 *   true when valid, or an error message string (or false) when invalid
 	 */
-	#handleCartItemQuantityChange(e) {
-		const _ = this;
-		const { cartKey, quantity, element } = e.detail;
-
-		element.setState('processing');
-
-		_.updateCartItem(cartKey, quantity)
-			.then((updatedCart) => {
-				if (updatedCart && !updatedCart.error) {
-					_.#currentCart = updatedCart;
-					_.#renderCartItems(updatedCart);
-					_.#renderCartPanel(updatedCart);
-
-					const cartWithCalculatedFields = _.#addCalculatedFields(updatedCart);
-					_.#emit('cart-panel:updated', { cart: cartWithCalculatedFields });
-					_.#emit('cart-panel:data-changed', cartWithCalculatedFields);
-				} else {
-					element.setState('ready');
-					console.error('Failed to update cart item quantity:', cartKey, quantity);
-				}
-			})
-			.catch((error) => {
-				element.setState('ready');
-				console.error('Error updating cart item quantity:', error);
-			});
+	setAttributeValidator(name, validatorFn) {
+		if (typeof validatorFn !== 'function') {
+			throw new Error('Attribute validator must be a function');
+		}
+		this.#attributeValidators.set(name, validatorFn);
 	}
 
 	// =========================================================================
-	// Private Methods - Rendering
+	// Public API - Saved for Later
 	// =========================================================================
 
 	/**
-	 * Update cart count elements across the page
-	 * @private
+	 * Entries in the saved-for-later list
+	 * @returns {Array<Object>} Saved line items, most recently saved first
 	 */
-	#renderCartCount(cartData) {
-		if (!cartData) return;
+	get savedItems() {
+		return this.#readSavedItems();
+	}
 
-		const visibleItems = this.#getVisibleCartItems(cartData);
-		const visibleItemCount = visibleItems.reduce((total, item) => total + item.quantity, 0);
+	/**
+	 * Remove a line from the cart and keep it in the saved-for-later list
+	 * @param {string} key - Cart line key
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	saveForLater(key) {
+		const _ = this;
+		const element = _.#findCartItem(key);
+
+		element?.clearError();
+		element?.setState('processing');
+
+		return _.#enqueue(async () => {
+			const item = _.#getLatestCart()?.items.find((line) => String(line.key) === String(key));
+			const updatedCart = item
+				? await _.updateCartItem(key, 0)
+				: { error: true, message: 'Cart line not found' };
+
+			if (!updatedCart || updatedCart.error) {
+				if (element) element.setData(element.itemData);
+				_.#showCartItemError(key, updatedCart);
+				return updatedCart;
+			}
+
+			const savedItem = _.#storeSavedItem(item);
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:saved-for-later', {
+				item: savedItem,
+				cart: _.#addCalculatedFields(updatedCart),
+			});
 
-		const cartCountElements = document.querySelectorAll('[data-content-cart-count]');
-		cartCountElements.forEach((element) => {
-			element.textContent = visibleItemCount;
+			return updatedCart;
 		});
 	}
 
 	/**
-	 * Update cart subtotal elements across the page
-	 * @private
+	 * Add a saved-for-later entry back to the cart
+	 * @param {string} savedKey - Key of the saved entry
+	 * @returns {Promise<Object|null>} Updated cart data object, or null if the entry doesn't exist
 	 */
-	#renderCartSubtotal(cartData) {
-		if (!cartData) return;
+	moveToCart(savedKey) {
+		const _ = this;
+		const savedItem = _.#readSavedItems().find((item) => item.key === savedKey);
+		const element = _.querySelector(
+			`[data-content-saved-items] cart-item[key="${savedKey}"]:not([state="destroying"])`
+		);
 
-		const pricedItems = cartData.items.filter((item) => {
-			const ignorePrice = item.properties?._ignore_price_in_subtotal;
-			return !ignorePrice;
-		});
-		const subtotal = pricedItems.reduce((total, item) => total + (item.line_price || 0), 0);
+		if (!savedItem) return Promise.resolve(null);
+
+		element?.clearError();
+		element?.setState('processing');
+
+		return _.#enqueue(async () => {
+			const addResult = await _.#callAdapter(
+				'add',
+				[[_.#toAddLine(savedItem)]],
+				'Error moving saved item to cart:',
+				{ operation: 'add' }
+			);
+
+			if (!addResult || addResult.error) {
+				element?.setState('ready');
+				element?.setError(addResult?.description || addResult?.message || 'Something went wrong');
+				return addResult;
+			}
+
+			_.#writeSavedItems(_.#readSavedItems().filter((item) => item.key !== savedKey));
+
+			const updatedCart = await _.getCart();
+			if (updatedCart.error) {
+				_.#renderSavedItems(_.#currentCart);
+				return updatedCart;
+			}
+
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:moved-to-cart', {
+				item: savedItem,
+				cart: _.#addCalculatedFields(updatedCart),
+			});
 
-		const cartSubtotalElements = document.querySelectorAll('[data-content-cart-subtotal]');
-		cartSubtotalElements.forEach((element) => {
-			const formatted = (subtotal / 100).toFixed(2);
-			element.textContent = `$${formatted}`;
+			return updatedCart;
 		});
 	}
 
 	/**
-	 * Update cart panel sections (has-items/empty)
-	 * @private
+	 * Delete an entry from the saved-for-later list
+	 * @param {string} savedKey - Key of the saved entry
 	 */
-	#renderCartPanel(cart = null) {
+	removeSavedItem(savedKey) {
 		const _ = this;
-		const cartData = cart || _.#currentCart;
-		if (!cartData) return;
+		const savedItems = _.#readSavedItems();
+		const savedItem = savedItems.find((item) => item.key === savedKey);
+		if (!savedItem) return;
 
-		const visibleItems = _.#getVisibleCartItems(cartData);
-		const hasVisibleItems = visibleItems.length > 0;
+		_.#writeSavedItems(savedItems.filter((item) => item.key !== savedKey));
+		_.#renderSavedItems(_.#currentCart);
+		_.#emit('cart-panel:saved-item-removed', { item: savedItem });
+	}
 
-		// Set state attribute for CSS styling (e.g., Tailwind variants)
-		_.setAttribute('state', hasVisibleItems ? 'has-items' : 'empty');
+	// =========================================================================
+	// Public API - Clear Cart
+	// =========================================================================
 
-		const hasItemsSection = _.querySelector('[data-cart-has-items]');
-		const emptySection = _.querySelector('[data-cart-is-empty]');
+	/**
+	 * Remove every line from the cart via /cart/clear.json.
+	 * The previous lines can be restored with undoClearCart() until the undo-timeout passes.
+	 * @param {Object} [options={}] - Clear options
+	 * @param {boolean} [options.confirm=true] - Ask the confirmation hook first
+	 * @returns {Promise<Object>} Updated (empty) cart data object, or { cancelled: true }
+	 */
+	async clearCart(options = {}) {
+		const _ = this;
+		const previousCart = _.#getLatestCart();
 
-		if (hasItemsSection && emptySection) {
-			hasItemsSection.style.display = hasVisibleItems ? '' : 'none';
-			emptySection.style.display = hasVisibleItems ? 'none' : '';
+		if (options.confirm !== false && _.#clearConfirmation) {
+			const confirmed = await _.#clearConfirmation(
+				previousCart ? _.#addCalculatedFields(previousCart) : null
+			);
+			if (!confirmed) return { cancelled: true };
 		}
 
-		_.#renderCartCount(cartData);
-		_.#renderCartSubtotal(cartData);
+		return _.#enqueue(async () => {
+			// Snapshot at the moment of clearing, after any earlier queued mutations
+			const snapshot = structuredClone(_.#getLatestCart() || previousCart);
+			const updatedCart = await _.#callAdapter('clear', [], 'Error clearing cart:', {
+				operation: 'clear',
+			});
+
+			if (!updatedCart || updatedCart.error) return updatedCart;
+
+			// The clear undo restores every line, so single-line undos no longer apply
+			[..._.#removedItems.keys()].forEach((key) => _.#dismissRemovedItem(key));
+			_.#setClearUndo(snapshot);
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:cleared', {
+				previousCart: snapshot ? _.#addCalculatedFields(snapshot) : null,
+				cart: _.#addCalculatedFields(updatedCart),
+			});
+
+			return updatedCart;
+		});
 	}
 
 	/**
-	 * Render cart items with smart add/update/remove
-	 * @private
+	 * Re-add the lines removed by the last clearCart() call
+	 * @returns {Promise<Object|null>} Updated cart data object, or null when there is nothing to undo
 	 */
-	#renderCartItems(cartData) {
+	undoClearCart() {
 		const _ = this;
-		const itemsContainer = _.querySelector('[data-content-cart-items]');
+		const snapshot = _.#clearUndo?.snapshot;
 
-		if (!itemsContainer || !cartData || !cartData.items) return;
+		if (!snapshot) return Promise.resolve(null);
+		_.#setClearUndo(null);
 
-		const visibleItems = _.#getVisibleCartItems(cartData);
+		// Shopify lists the newest line first, so add in reverse to keep the original order
+		const lines = [...snapshot.items].reverse().map((item) => _.#toAddLine(item));
+		if (!lines.length) return Promise.resolve(null);
 
-		// Initial render - load all items without animation
-		if (_.#isInitialRender) {
-			itemsContainer.innerHTML = '';
-			visibleItems.forEach((itemData) => {
-				itemsContainer.appendChild(new CartItem(itemData, cartData));
+		return _.#enqueue(async () => {
+			const addResult = await _.#callAdapter('add', [lines], 'Error restoring cart:', {
+				operation: 'add',
 			});
-			_.#isInitialRender = false;
-			return;
-		}
-
-		// Get current DOM items
-		const currentItems = Array.from(itemsContainer.querySelectorAll('cart-item'));
-		const currentKeys = new Set(currentItems.map((item) => item.getAttribute('key')));
-
-		// Get new cart data keys
-		const newKeys = visibleItems.map((item) => item.key || item.id);
-		const newKeysSet = new Set(newKeys);
+			if (!addResult || addResult.error) return addResult;
 
-		// Step 1: Remove items no longer in cart
-		_.#removeItemsFromDOM(itemsContainer, newKeysSet);
+			const updatedCart = await _.getCart();
+			if (updatedCart.error) return updatedCart;
 
-		// Step 2: Update existing items
-		_.#updateItemsInDOM(itemsContainer, cartData);
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:clear-undone', {
+				items: addResult.items,
+				cart: _.#addCalculatedFields(updatedCart),
+			});
 
-		// Step 3: Add new items with animation
-		const itemsToAdd = visibleItems.filter(
-			(itemData) => !currentKeys.has(itemData.key || itemData.id)
-		);
-		_.#addItemsToDOM(itemsContainer, itemsToAdd, newKeys, cartData);
+			return updatedCart;
+		});
 	}
 
 	/**
-	 * Remove items from DOM that are no longer in cart
-	 * @private
+	 * Re-add a removed line from its undo placeholder, back at the same position
+	 * @param {string} key - Line key the item had before it was removed
+	 * @returns {Promise<Object|null>} Updated cart data object, or null when there is nothing to restore
 	 */
-	#removeItemsFromDOM(itemsContainer, newKeysSet) {
-		const currentItems = Array.from(itemsContainer.querySelectorAll('cart-item'));
-		const itemsToRemove = currentItems.filter((item) => !newKeysSet.has(item.getAttribute('key')));
+	restoreCartItem(key) {
+		const _ = this;
+		const previousKey = String(key);
+		const removed = _.#removedItems.get(previousKey);
 
-		itemsToRemove.forEach((item) => {
-			item.destroyYourself();
+		if (!removed || removed.placeholder.getAttribute('state') === 'restoring') {
+			return Promise.resolve(null);
+		}
+		clearTimeout(removed.timer);
+		removed.placeholder.setAttribute('state', 'restoring');
+
+		return _.#enqueue(async () => {
+			const addResult = await _.#callAdapter(
+				'add',
+				[[_.#toAddLine(removed.itemData)]],
+				'Error restoring cart item:',
+				{ operation: 'add', key: previousKey }
+			);
+
+			if (!addResult || addResult.error) {
+				removed.placeholder.setAttribute('state', 'error');
+				removed.timer = _.#startRemovedItemTimer(previousKey);
+				return addResult;
+			}
+
+			const updatedCart = await _.getCart();
+			if (updatedCart.error) {
+				_.#dismissRemovedItem(previousKey);
+				return updatedCart;
+			}
+
+			// Put the line back where the placeholder is, unless it merged into a line that's displayed
+			const newKey = String(addResult.items?.[0]?.key ?? '');
+			const itemData = updatedCart.items.find((item) => String(item.key) === newKey);
+			if (itemData && !_.#findCartItem(newKey) && removed.placeholder.isConnected) {
+				removed.placeholder.replaceWith(CartItem.createAnimated(itemData, updatedCart));
+			}
+
+			_.#dismissRemovedItem(previousKey);
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:item-restored', {
+				key: newKey,
+				previousKey,
+				item: itemData || null,
+				cart: _.#addCalculatedFields(updatedCart),
+			});
+
+			return updatedCart;
 		});
 	}
 
 	/**
-	 * Update existing cart-item elements with fresh data
-	 * @private
+	 * Register a hook that confirms clearing the cart
+	 * @param {Function|null} confirmFn - Function that takes (cart) and returns (or resolves to)
+	 *   true to clear. Pass null to clear without asking.
 	 */
-	#updateItemsInDOM(itemsContainer, cartData) {
-		const visibleItems = this.#getVisibleCartItems(cartData);
-		const existingItems = Array.from(itemsContainer.querySelectorAll('cart-item'));
-
-		existingItems.forEach((cartItemEl) => {
-			const key = cartItemEl.getAttribute('key');
-			const updatedItemData = visibleItems.find((item) => (item.key || item.id) === key);
-			if (updatedItemData) cartItemEl.setData(updatedItemData, cartData);
-		});
+	setClearCartConfirmation(confirmFn) {
+		if (confirmFn !== null && typeof confirmFn !== 'function') {
+			throw new Error('Clear cart confirmation must be a function');
+		}
+		this.#clearConfirmation = confirmFn;
 	}
 
-	/**
-	 * Add new items to DOM with animation delay
+	// =========================================================================
+	// Public API - Discount Codes
+	// =========================================================================
+
+	/**
+	 * Apply a discount code alongside the codes already on the cart
+	 * @param {string} code - Discount code to apply
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	applyDiscount(code) {
+		const _ = this;
+		const trimmed = String(code || '').trim();
+
+		if (!trimmed) {
+			return Promise.resolve({ error: true, message: 'Enter a discount code' });
+		}
+
+		return _.#enqueue(async () => {
+			const codes = _.#getDiscountCodes(_.#getLatestCart());
+			if (!codes.some((existing) => existing.toLowerCase() === trimmed.toLowerCase())) {
+				codes.push(trimmed);
+			}
+
+			const updatedCart = await _.#updateDiscountCodes(codes, 'Error applying discount code:');
+			const rejection = _.#getDiscountRejection(trimmed, updatedCart);
+			const cart = _.#getLatestCart() ? _.#addCalculatedFields(_.#getLatestCart()) : null;
+
+			if (rejection) {
+				_.#emit('cart-panel:discount-rejected', { code: trimmed, ...rejection, cart });
+			} else {
+				_.#emit('cart-panel:discount-applied', { code: trimmed, cart });
+			}
+
+			return updatedCart;
+		});
+	}
+
+	/**
+	 * Remove a discount code, keeping any others on the cart
+	 * @param {string} code - Discount code to remove
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	removeDiscount(code) {
+		const _ = this;
+		const trimmed = String(code || '').trim();
+
+		return _.#enqueue(async () => {
+			const codes = _.#getDiscountCodes(_.#getLatestCart()).filter(
+				(existing) => existing.toLowerCase() !== trimmed.toLowerCase()
+			);
+
+			const updatedCart = await _.#updateDiscountCodes(codes, 'Error removing discount code:');
+
+			if (updatedCart && !updatedCart.error) {
+				_.#emit('cart-panel:discount-removed', {
+					code: trimmed,
+					cart: _.#addCalculatedFields(updatedCart),
+				});
+			}
+
+			return updatedCart;
+		});
+	}
+
+	// =========================================================================
+	// Public API - Section Rendering
+	// =========================================================================
+
+	/**
+	 * Theme section IDs re-rendered alongside cart changes
+	 * @returns {Array<string>} Section IDs from the sections attribute
+	 */
+	get sections() {
+		return (this.getAttribute('sections') || '')
+			.split(',')
+			.map((id) => id.trim())
+			.filter(Boolean);
+	}
+
+	/**
+	 * Set the theme sections to re-render alongside cart changes
+	 * @param {Array<string>} sectionIds - Section IDs, empty to stop requesting sections
+	 */
+	setSections(sectionIds) {
+		if (sectionIds?.length) {
+			this.setAttribute('sections', sectionIds.join(','));
+		} else {
+			this.removeAttribute('sections');
+		}
+	}
+
+	// =========================================================================
+	// Public API - Templates
+	// =========================================================================
+
+	/**
+	 * Set the template function for cart items
+	 * @param {string} templateName - Name of the template
+	 * @param {Function} templateFn - Function that takes (itemData, cartData) and returns HTML string
+	 */
+	setCartItemTemplate(templateName, templateFn) {
+		CartItem.setTemplate(templateName, templateFn);
+	}
+
+	/**
+	 * Set the processing template function for cart items
+	 * @param {Function} templateFn - Function that returns HTML string for processing state
+	 */
+	setCartItemProcessingTemplate(templateFn) {
+		CartItem.setProcessingTemplate(templateFn);
+	}
+
+	/**
+	 * Set the template function for the undo placeholder left by a removed line
+	 * @param {Function} templateFn - Function that takes (itemData) and returns HTML string
+	 *   containing a [data-action-undo-remove] button
+	 */
+	setCartItemRemovedTemplate(templateFn) {
+		if (typeof templateFn !== 'function') {
+			throw new Error('Removed item template must be a function');
+		}
+		this.#removedItemTemplate = templateFn;
+	}
+
+	// =========================================================================
+	// Private Methods - Core
+	// =========================================================================
+
+	/**
+	 * Find the nearest dialog-panel ancestor
+	 * @private
+	 */
+	#findDialogPanel() {
+		return this.closest('dialog-panel');
+	}
+
+	/**
+	 * Run a cart adapter method, converting failures into error objects
+	 * and announcing them with a cart-panel:error event.
+	 * Requested sections are passed along and rendered from the response.
+	 * @private
+	 */
+	#callAdapter(method, args, errorLabel, context = {}) {
+		const _ = this;
+
+		const options = _.#getAdapterOptions(method);
+		if (Object.keys(options).length) args = [...args, options];
+
+		const request = _.#withRetry(method, () => _.adapter[method](...args)).then((result) => {
+			if (!result?.sections) return result;
+
+			// Keep section HTML out of the cart data that gets stored and shared
+			const { sections: payload, ...rest } = result;
+			_.#renderSections(payload, context.operation || method);
+			return rest;
+		});
+
+		return request.catch((error) => {
+			console.error(errorLabel, error);
+
+			const result = {
+				error: true,
+				operation: context.operation || method,
+				message: error.message,
+				status: error.status ?? null,
+				description: error.description ?? null,
+			};
+
+			this.#emit('cart-panel:error', {
+				operation: result.operation,
+				key: context.key ?? null,
+				status: result.status,
+				message: result.message,
+				description: result.description,
+				error,
+			});
+
+			return result;
+		});
+	}
+
+	/**
+	 * Emit an event via EventEmitter and native CustomEvent
+	 * @private
+	 */
+	#emit(eventName, data = null) {
+		this.#eventEmitter.emit(eventName, data);
+
+		this.dispatchEvent(
+			new CustomEvent(eventName, {
+				detail: data,
+				bubbles: true,
+			})
+		);
+	}
+
+	/**
+	 * Attach event listeners
+	 * @private
+	 */
+	#attachListeners() {
+		// Handle close buttons
+		this.addEventListener('click', (e) => {
+			if (!e.target.closest('[data-action-hide-cart]')) return;
+			this.hide();
+		});
+
+		// Handle cart item remove events
+		this.addEventListener('cart-item:remove', (e) => {
+			this.#handleCartItemRemove(e);
+		});
+
+		// Handle cart item quantity change events
+		this.addEventListener('cart-item:quantity-change', (e) => {
+			this.#handleCartItemQuantityChange(e);
+		});
+
+		// Handle cart item property edits
+		this.addEventListener('cart-item:properties-change', (e) => {
+			this.#handleCartItemPropertiesChange(e);
+		});
+
+		// Move lines between the cart and the saved-for-later list
+		this.addEventListener('cart-item:save-for-later', (e) => {
+			this.saveForLater(e.detail.cartKey);
+		});
+		this.addEventListener('cart-item:move-to-cart', (e) => {
+			this.moveToCart(e.detail.cartKey);
+		});
+
+		// Handle cart item variant swaps
+		this.addEventListener('cart-item:variant-change', (e) => {
+			this.#handleCartItemVariantChange(e);
+		});
+
+		// Handle clear cart and undo buttons
+		this.addEventListener('click', (e) => {
+			if (e.target.closest('[data-action-clear-cart]')) {
+				this.clearCart();
+			} else if (e.target.closest('[data-action-undo-clear]')) {
+				this.undoClearCart();
+			} else if (e.target.closest('[data-action-undo-remove]')) {
+				const placeholder = e.target.closest('[data-cart-removed-item]');
+				if (placeholder) this.restoreCartItem(placeholder.getAttribute('data-cart-removed-item'));
+			}
+		});
+
+		// Apply discount codes from the declarative discount form
+		this.addEventListener('submit', (e) => {
+			const form = e.target.closest('[data-cart-discount-form]');
+			if (!form) return;
+
+			e.preventDefault();
+			this.#handleDiscountFormSubmit(form);
+		});
+
+		// Remove discount codes
+		this.addEventListener('click', (e) => {
+			const button = e.target.closest('[data-action-remove-discount]');
+			if (!button) return;
+
+			this.removeDiscount(button.getAttribute('data-action-remove-discount'));
+		});
+
+		// Save cart attributes when a declarative input changes
+		this.addEventListener('change', (e) => {
+			const input = e.target.closest('[data-cart-attribute]');
+			if (!input) return;
+
+			this.#handleAttributeInputChange(input);
+		});
+
+		// Save the cart note as the shopper types
+		this.addEventListener('input', (e) => {
+			const noteElement = e.target.closest('[data-cart-note]');
+			if (!noteElement) return;
+
+			this.#scheduleSave('note', () => this.setNote(noteElement.value), 'note-debounce');
+		});
+
+		// Intercept product forms anywhere in the document when opted in
+		if (this.hasAttribute('intercept-forms')) {
+			document.addEventListener('submit', this.#handlers.productFormSubmit);
+		}
+
+		// Track connectivity so mutations can wait out offline periods
+		window.addEventListener('online', this.#handlers.online);
+		window.addEventListener('offline', this.#handlers.offline);
+	}
+
+	/**
+	 * Options appended to an adapter call: the routes root and any requested sections
+	 * @private
+	 */
+	#getAdapterOptions(method) {
+		const _ = this;
+		const options = {};
+
+		if (_.routesRoot) options.routesRoot = _.routesRoot;
+
+		const sections = _.sections;
+		if (sections.length && CartPanel.#sectionMethods.has(method)) {
+			options.sections = sections;
+			options.sectionsUrl = _.getAttribute('sections-url') || window.location.pathname;
+		}
+
+		return options;
+	}
+
+	// =========================================================================
+	// Private Methods - Product Form Interception
+	// =========================================================================
+
+	/**
+	 * Add product form submissions over AJAX instead of navigating to /cart/add
+	 * @private
+	 */
+	#handleProductFormSubmit(e) {
+		const _ = this;
+		const form = e.target;
+
+		if (e.defaultPrevented || !_.#isProductForm(form)) return;
+
+		const formData = new FormData(form, e.submitter || undefined);
+
+		// File uploads can't be sent as JSON, leave those to the browser
+		const hasFiles = Array.from(formData.values()).some((value) => value instanceof File);
+		if (hasFiles) return;
+
+		e.preventDefault();
+
+		const submitButton = e.submitter || form.querySelector('[type="submit"]');
+		if (submitButton) submitButton.disabled = true;
+
+		const fallback = () => form.submit();
+
+		_.addToCart(_.#serializeProductForm(formData), {
+			show: true,
+			triggerElement: submitButton || form,
+		})
+			.then((cart) => {
+				// A failed refresh after a successful add must not post the line a second time
+				if (!cart || (cart.error && cart.operation === 'add')) fallback();
+			})
+			.catch((error) => {
+				console.error('Error submitting product form:', error);
+				fallback();
+			})
+			.finally(() => {
+				if (submitButton) submitButton.disabled = false;
+			});
+	}
+
+	/**
+	 * Check whether a form posts to Shopify's /cart/add endpoint
+	 * @private
+	 */
+	#isProductForm(form) {
+		if (!(form instanceof HTMLFormElement)) return false;
+
+		const action = form.getAttribute('action');
+		if (!action) return false;
+
+		const { pathname } = new URL(action, window.location.href);
+		return /\/cart\/add(\.js(on)?)?$/.test(pathname);
+	}
+
+	/**
+	 * Convert product form data into a /cart/add.json line item
+	 * @private
+	 */
+	#serializeProductForm(formData) {
+		const item = { properties: {} };
+
+		formData.forEach((value, name) => {
+			const propertyMatch = name.match(/^properties\[(.+)\]$/);
+
+			if (propertyMatch) {
+				if (value !== '') item.properties[propertyMatch[1]] = value;
+			} else if (name === 'id' || name === 'quantity' || name === 'selling_plan') {
+				if (value !== '') item[name] = value;
+			}
+		});
+
+		return item;
+	}
+
+	// =========================================================================
+	// Private Methods - Saved for Later
+	// =========================================================================
+
+	/**
+	 * Whether a cart-item element belongs to the saved-for-later list
+	 * @private
+	 */
+	#isSavedItemElement(element) {
+		return Boolean(element?.closest('[data-content-saved-items]'));
+	}
+
+	/**
+	 * Read saved entries from localStorage
+	 * @private
+	 */
+	#readSavedItems() {
+		try {
+			const stored = localStorage.getItem(this.#getSavedItemsKey());
+			return stored ? JSON.parse(stored) : [];
+		} catch {
+			return [];
+		}
+	}
+
+	/**
+	 * Write saved entries to localStorage
+	 * @private
+	 */
+	#writeSavedItems(items) {
+		try {
+			localStorage.setItem(this.#getSavedItemsKey(), JSON.stringify(items));
+		} catch (error) {
+			console.warn('Unable to store saved-for-later items:', error);
+		}
+	}
+
+	/**
+	 * Storage key for saved entries, configurable with the saved-items-key attribute
+	 * @private
+	 */
+	#getSavedItemsKey() {
+		return this.getAttribute('saved-items-key') || 'cart-panel:saved-items';
+	}
+
+	/**
+	 * Add a cart line to the saved list, merging with an entry for the same line
+	 * @private
+	 * @returns {Object} The stored entry
+	 */
+	#storeSavedItem(item) {
+		const savedItems = this.#readSavedItems();
+		const key = `saved:${item.key || item.id}`;
+		const existing = savedItems.find((savedItem) => savedItem.key === key);
+		const savedItem = {
+			...this.#toAddLine(item),
+			key,
+			variant_id: item.variant_id ?? item.id,
+			quantity: item.quantity + (existing?.quantity || 0),
+			product_title: item.product_title,
+			title: item.title,
+			variant_title: item.variant_title,
+			image: item.image,
+			url: item.url,
+			price: item.price,
+			saved_at: Date.now(),
+		};
+
+		this.#writeSavedItems([savedItem, ...savedItems.filter((entry) => entry.key !== key)]);
+		return savedItem;
+	}
+
+	/**
+	 * Change the quantity of a saved entry, removing it at zero
+	 * @private
+	 */
+	#updateSavedItemQuantity(savedKey, quantity) {
+		if (quantity <= 0) {
+			this.removeSavedItem(savedKey);
+			return;
+		}
+
+		this.#writeSavedItems(
+			this.#readSavedItems().map((item) => (item.key === savedKey ? { ...item, quantity } : item))
+		);
+		this.#renderSavedItems(this.#currentCart);
+	}
+
+	// =========================================================================
+	// Private Methods - Clear Cart
+	// =========================================================================
+
+	/**
+	 * Start (or cancel, with null) the undo window for a cleared cart
+	 * @private
+	 */
+	#setClearUndo(snapshot) {
+		const _ = this;
+
+		clearTimeout(_.#clearUndo?.timer);
+		_.#clearUndo = null;
+
+		if (snapshot?.items?.length) {
+			const timer = setTimeout(
+				() => {
+					_.#clearUndo = null;
+					_.#renderClearUndo();
+				},
+				_.#getNumberAttribute('undo-timeout', 5000)
+			);
+			_.#clearUndo = { snapshot, timer };
+		}
+
+		_.#renderClearUndo();
+	}
+
+	/**
+	 * Show [data-cart-undo-clear] elements while a cleared cart can be restored
+	 * @private
+	 */
+	#renderClearUndo() {
+		this.querySelectorAll('[data-cart-undo-clear]').forEach((element) => {
+			element.style.display = this.#clearUndo ? '' : 'none';
+		});
+	}
+
+	/**
+	 * Build an add() line that recreates a cart line item
+	 * @private
+	 */
+	#toAddLine(item) {
+		const line = {
+			id: item.variant_id ?? item.id,
+			quantity: item.quantity,
+			properties: item.properties || {},
+		};
+		const sellingPlan = item.selling_plan_allocation?.selling_plan?.id ?? item.selling_plan;
+		if (sellingPlan) line.selling_plan = sellingPlan;
+		return line;
+	}
+
+	// =========================================================================
+	// Private Methods - Discount Codes
+	// =========================================================================
+
+	/**
+	 * Codes currently on the cart, in the order Shopify returned them
+	 * @private
+	 */
+	#getDiscountCodes(cart) {
+		return (cart?.discount_codes || []).map((discount) => discount.code);
+	}
+
+	/**
+	 * Replace the cart's discount codes and render the result.
+	 * Shopify takes the full comma separated list, so removing a code means resending the rest.
+	 * @private
+	 */
+	async #updateDiscountCodes(codes, errorLabel) {
+		const _ = this;
+		const updatedCart = await _.#callAdapter(
+			'update',
+			[{ discount: codes.join(',') }],
+			errorLabel,
+			{
+				operation: 'discount',
+			}
+		);
+
+		if (updatedCart && !updatedCart.error) {
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+		}
+
+		return updatedCart;
+	}
+
+	/**
+	 * Explain why a code didn't apply, or return null when it did
+	 * @private
+	 * @returns {Object|null} Object with reason ('error', 'not-applicable', 'not-found') and message
+	 */
+	#getDiscountRejection(code, result) {
+		if (!result || result.error) {
+			return { reason: 'error', message: result?.description || result?.message || null };
+		}
+
+		const discount = (result.discount_codes || []).find(
+			(entry) => entry.code.toLowerCase() === code.toLowerCase()
+		);
+
+		if (!discount) {
+			return { reason: 'not-found', message: `${code} is not a valid discount code` };
+		}
+		if (!discount.applicable) {
+			return { reason: 'not-applicable', message: `${code} can't be applied to your cart` };
+		}
+		return null;
+	}
+
+	/**
+	 * Apply the code entered in a [data-cart-discount-form] and report the outcome on the form
+	 * @private
+	 */
+	async #handleDiscountFormSubmit(form) {
+		const _ = this;
+		const input = form.querySelector('[name="discount"]');
+		const messageElement = form.querySelector('[data-content-discount-message]');
+		const code = input?.value.trim();
+
+		if (!code) return;
+
+		form.setAttribute('state', 'saving');
+		if (messageElement) messageElement.textContent = '';
+
+		const result = await _.applyDiscount(code);
+		const rejection = _.#getDiscountRejection(code, result);
+
+		if (!rejection) {
+			form.setAttribute('state', 'applied');
+			input.value = '';
+			return;
+		}
+
+		form.setAttribute('state', rejection.reason === 'error' ? 'error' : 'rejected');
+		if (messageElement) messageElement.textContent = rejection.message || '';
+	}
+
+	// =========================================================================
+	// Private Methods - Request Queue
+	// =========================================================================
+
+	/**
+	 * Run a cart mutation after every previously queued mutation has settled
+	 * @private
+	 */
+	#enqueue(operation) {
+		const _ = this;
+		_.#pendingCount += 1;
+		_.#mutationVersion += 1;
+		_.#updateQueueState();
+
+		// While offline, mutations stay queued and replay in order once back online
+		const result = _.#queue.then(() => _.#waitForOnline()).then(() => operation());
+
+		_.#queue = result
+			.catch((error) => console.error('Error in cart request queue:', error))
+			.then(() => {
+				_.#pendingCount -= 1;
+				_.#updateQueueState();
+				if (_.#pendingCount === 0) _.#flushQueue();
+			});
+
+		return result;
+	}
+
+	/**
+	 * Run an adapter call, retrying idempotent operations with exponential backoff
+	 * @private
+	 */
+	async #withRetry(method, request) {
+		const _ = this;
+		const canRetry = CartPanel.#idempotentMethods.has(method);
+		const maxAttempts = canRetry ? _.#getNumberAttribute('retry-attempts', 3) : 0;
+
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await request();
+			} catch (error) {
+				if (attempt >= maxAttempts || !_.#isRetryableError(error)) throw error;
+
+				await _.#waitForOnline();
+				const delay = _.#getNumberAttribute('retry-delay', 500) * 2 ** attempt;
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+	}
+
+	/**
+	 * Network failures, rate limits and server errors are worth retrying
+	 * @private
+	 */
+	#isRetryableError(error) {
+		if (error instanceof CartError) return error.status === 429 || error.status >= 500;
+
+		// fetch() rejects with a TypeError when the network fails. Anything else, such as a
+		// SyntaxError from an HTML password page or a bug in an adapter, won't fix itself.
+		return error instanceof TypeError && /fetch|network|load failed/i.test(error.message);
+	}
+
+	/**
+	 * Resolve immediately when online, otherwise once connectivity returns
+	 * @private
+	 */
+	#waitForOnline() {
+		if (navigator.onLine !== false) return Promise.resolve();
+		return new Promise((resolve) => this.#onlineResolvers.push(resolve));
+	}
+
+	/**
+	 * Replay mutations that were held while offline
+	 * @private
+	 */
+	#handleOnline() {
+		const resolvers = this.#onlineResolvers;
+		this.#onlineResolvers = [];
+		resolvers.forEach((resolve) => resolve());
+
+		this.#updateQueueState();
+	}
+
+	/**
+	 * Reflect lost connectivity in the queue-state attribute
+	 * @private
+	 */
+	#handleOffline() {
+		this.#updateQueueState();
+	}
+
+	/**
+	 * Set the queue-state attribute to idle, busy or offline for CSS styling
+	 * @private
+	 */
+	#updateQueueState() {
+		const _ = this;
+		let state = _.#pendingCount > 0 ? 'busy' : 'idle';
+		if (navigator.onLine === false) state = 'offline';
+
+		if (_.getAttribute('queue-state') !== state) _.setAttribute('queue-state', state);
+	}
+
+	/**
+	 * The newest cart from the server, including one whose render is deferred by the queue
+	 * @private
+	 */
+	#getLatestCart() {
+		return this.#deferredRender?.cartObj || this.#currentCart;
+	}
+
+	/**
+	 * Render any cart held back while the queue was busy and resolve idle waiters
+	 * @private
+	 */
+	#flushQueue() {
+		const _ = this;
+
+		if (_.#deferredRender) {
+			const { cartObj, eventName, options } = _.#deferredRender;
+			_.#renderCart(cartObj, eventName, options);
+		}
+
+		const resolvers = _.#idleResolvers;
+		_.#idleResolvers = [];
+		resolvers.forEach((resolve) => resolve(_.#currentCart));
+	}
+
+	// =========================================================================
+	// Private Methods - Section Rendering
+	// =========================================================================
+
+	/**
+	 * Swap Section Rendering API HTML into [data-section-id] targets anywhere on the page
+	 * @private
+	 */
+	#renderSections(sections, operation) {
+		Object.entries(sections).forEach(([sectionId, html]) => {
+			// Shopify answers null for a section that failed to render
+			if (typeof html !== 'string') return;
+
+			const targets = document.querySelectorAll(`[data-section-id="${sectionId}"]`);
+			if (!targets.length) return;
+
+			const template = document.createElement('template');
+			template.innerHTML = html;
+			const source = template.content.querySelector(`[data-section-id="${sectionId}"]`);
+			const innerHTML = source ? source.innerHTML : html;
+
+			targets.forEach((target) => {
+				target.innerHTML = innerHTML;
+			});
+		});
+
+		this.#emit('cart-panel:sections-rendered', { sections, operation });
+	}
+
+	// =========================================================================
+	// Private Methods - Cart Snapshot
+	// =========================================================================
+
+	/**
+	 * Session storage key for the cart snapshot, configurable with the snapshot-key attribute
+	 * @private
+	 */
+	#getSnapshotKey() {
+		return this.getAttribute('snapshot-key') || 'cart-panel:snapshot';
+	}
+
+	/**
+	 * Remember the last good server cart, keyed by its token
+	 * @private
+	 */
+	#storeSnapshot(cart) {
+		if (this.hasAttribute('no-snapshot')) return;
+
+		try {
+			sessionStorage.setItem(
+				this.#getSnapshotKey(),
+				JSON.stringify({ token: cart.token ?? null, cart })
+			);
+		} catch {
+			// Storage full or unavailable; the next load simply waits for the server
+		}
+	}
+
+	/**
+	 * Paint the cached cart with a stale attribute until refreshCart() reconciles it
+	 * @private
+	 */
+	#renderSnapshot() {
+		const _ = this;
+		if (_.hasAttribute('no-snapshot') || !_.isConnected) return;
+
+		// The server answered first, so there is nothing to fill in
+		if (_.#currentCart) return;
+
+		let snapshot = null;
+		try {
+			snapshot = JSON.parse(sessionStorage.getItem(_.#getSnapshotKey()));
+		} catch {
+			return;
+		}
+		if (!snapshot?.cart?.items) return;
+
+		// Shopify's cart cookie holds the current token; a different one means a new cart
+		const cookieToken = _.#getCartCookieToken();
+		if (cookieToken && snapshot.token && cookieToken !== snapshot.token.split('?')[0]) {
+			sessionStorage.removeItem(_.#getSnapshotKey());
+			return;
+		}
+
+		_.setAttribute('stale', '');
+		_.#renderCart(snapshot.cart, 'cart-panel:snapshot-rendered', { stale: true });
+	}
+
+	/**
+	 * Token from Shopify's cart cookie, without its ?key= suffix
+	 * @private
+	 */
+	#getCartCookieToken() {
+		const match = document.cookie.match(/(?:^|;\s*)cart=([^;]+)/);
+		return match ? decodeURIComponent(match[1]).split('?')[0] : null;
+	}
+
+	// =========================================================================
+	// Private Methods - Cross-Tab Sync
+	// =========================================================================
+
+	/**
+	 * Listen for carts rendered in other tabs, over BroadcastChannel where available
+	 * and storage events otherwise. Opt out with the no-sync attribute.
+	 * @private
+	 */
+	#connectSync() {
+		if (this.hasAttribute('no-sync')) return;
+
+		if (typeof BroadcastChannel === 'function') {
+			this.#syncChannel = new BroadcastChannel(this.#getSyncChannelName());
+			this.#syncChannel.addEventListener('message', this.#handlers.syncMessage);
+		} else {
+			window.addEventListener('storage', this.#handlers.syncStorage);
+		}
+	}
+
+	/**
+	 * Stop listening for carts from other tabs
+	 * @private
+	 */
+	#disconnectSync() {
+		if (this.#syncChannel) {
+			this.#syncChannel.removeEventListener('message', this.#handlers.syncMessage);
+			this.#syncChannel.close();
+			this.#syncChannel = null;
+		}
+		window.removeEventListener('storage', this.#handlers.syncStorage);
+	}
+
+	/**
+	 * Channel (and storage key) name, configurable with the sync-channel attribute
+	 * @private
+	 */
+	#getSyncChannelName() {
+		return this.getAttribute('sync-channel') || 'cart-panel:cart';
+	}
+
+	/**
+	 * Send a freshly rendered server cart to other tabs
+	 * @private
+	 */
+	#broadcastCart(cart) {
+		if (this.hasAttribute('no-sync') || !this.isConnected) return;
+
+		const message = { sender: this.#syncId, cart };
+
+		try {
+			if (this.#syncChannel) {
+				this.#syncChannel.postMessage(message);
+			} else {
+				// sentAt makes every write a change, so a repeated cart still fires a storage event
+				localStorage.setItem(
+					this.#getSyncChannelName(),
+					JSON.stringify({ ...message, sentAt: Date.now() })
+				);
+			}
+		} catch (error) {
+			console.warn('Unable to share cart with other tabs:', error);
+		}
+	}
+
+	/**
+	 * Read a cart written by another tab when BroadcastChannel is unavailable
+	 * @private
+	 */
+	#handleSyncStorage(e) {
+		if (e.key !== this.#getSyncChannelName() || !e.newValue) return;
+
+		try {
+			this.#applySyncedCart(JSON.parse(e.newValue));
+		} catch {
+			// Ignore values this panel didn't write
+		}
+	}
+
+	/**
+	 * Render a cart received from another tab without refetching or re-broadcasting it
+	 * @private
+	 */
+	#applySyncedCart(message) {
+		const _ = this;
+		const cart = message?.cart;
+
+		if (!cart?.items || message.sender === _.#syncId) return;
+
+		// Local mutations will render the server's newer cart when they settle
+		if (_.#pendingCount > 0) return;
+
+		// A different cart (e.g. another store or a finished checkout) isn't ours to show
+		const current = _.#currentCart;
+		if (current?.token && cart.token && current.token !== cart.token) return;
+		if (JSON.stringify(current) === JSON.stringify(cart)) return;
+
+		// Make an in-flight refreshCart() fetch drop its older result
+		_.#mutationVersion += 1;
+		_.#renderCart(cart, 'cart-panel:synced', { broadcast: false });
+	}
+
+	// =========================================================================
+	// Private Methods - External Change Watching
+	// =========================================================================
+
+	/**
+	 * Watch for cart changes made by other scripts when the watch-external attribute is set,
+	 * polling every watch-interval milliseconds if that attribute is given too
+	 * @private
+	 */
+	#startWatching() {
+		const _ = this;
+		if (!_.hasAttribute('watch-external')) return;
+
+		document.addEventListener('visibilitychange', _.#handlers.watchVisibility);
+		window.addEventListener('focus', _.#handlers.watchFocus);
+
+		const interval = _.#getNumberAttribute('watch-interval', 0);
+		if (interval > 0) {
+			_.#watchTimer = setInterval(() => {
+				if (!document.hidden) _.checkForExternalChanges();
+			}, interval);
+		}
+	}
+
+	/**
+	 * Stop watching for external cart changes
+	 * @private
+	 */
+	#stopWatching() {
+		document.removeEventListener('visibilitychange', this.#handlers.watchVisibility);
+		window.removeEventListener('focus', this.#handlers.watchFocus);
+		clearInterval(this.#watchTimer);
+		this.#watchTimer = null;
+	}
+
+	/**
+	 * Check for changes when the tab becomes visible again
+	 * @private
+	 */
+	#handleWatchVisibility() {
+		if (!document.hidden) this.checkForExternalChanges();
+	}
+
+	/**
+	 * Fetch the cart and render it when it differs from the one on screen
+	 * @private
+	 */
+	async #fetchExternalChanges() {
+		const _ = this;
+
+		// Local mutations render the server's cart when they settle
+		if (!_.#currentCart || _.#pendingCount > 0) return null;
+
+		const startVersion = _.#mutationVersion;
+		let cart;
+		try {
+			cart = await _.adapter.get(_.#getAdapterOptions('get'));
+		} catch (error) {
+			// A background check isn't worth an error event; the next one will try again
+			console.warn('Unable to check the cart for external changes:', error);
+			return null;
+		}
+
+		// A mutation or synced cart landed meanwhile and is newer than this response
+		if (_.#pendingCount > 0 || startVersion !== _.#mutationVersion) return null;
+
+		const previousCart = _.#currentCart;
+		const diff = _.#diffCarts(previousCart, cart);
+		if (!diff) return null;
+
+		_.#emit('cart-panel:external-change', {
+			diff,
+			previousCart: _.#addCalculatedFields(previousCart),
+			cart: _.#addCalculatedFields(cart),
+		});
+		_.#renderCart(cart, 'cart-panel:refreshed');
+
+		return diff;
+	}
+
+	/**
+	 * Compare token, line keys, quantities and total between two carts
+	 * @private
+	 */
+	#diffCarts(previousCart, cart) {
+		const previousItems = new Map(previousCart.items.map((item) => [item.key, item]));
+		const items = new Map(cart.items.map((item) => [item.key, item]));
+
+		const added = cart.items.filter((item) => !previousItems.has(item.key));
+		const removed = previousCart.items.filter((item) => !items.has(item.key));
+		const changed = cart.items
+			.filter((item) => previousItems.has(item.key))
+			.filter((item) => previousItems.get(item.key).quantity !== item.quantity)
+			.map((item) => ({
+				key: item.key,
+				previousQuantity: previousItems.get(item.key).quantity,
+				quantity: item.quantity,
+				item,
+			}));
+
+		const tokenChanged = (previousCart.token ?? null) !== (cart.token ?? null);
+		const totalChanged = previousCart.total_price !== cart.total_price;
+
+		if (!tokenChanged && !totalChanged && !added.length && !removed.length && !changed.length) {
+			return null;
+		}
+
+		return {
+			tokenChanged,
+			added,
+			removed,
+			changed,
+			previousTotal: previousCart.total_price,
+			total: cart.total_price,
+		};
+	}
+
+	// =========================================================================
+	// Private Methods - Debounced Saves
+	// =========================================================================
+
+	/**
+	 * Run a save after the shopper stops typing, restarting the wait on each call
+	 * @private
+	 */
+	#scheduleSave(name, save, debounceAttribute) {
+		const _ = this;
+		_.#cancelSave(name);
+
+		const delay = _.#getNumberAttribute(debounceAttribute, 500);
+		_.#saveTimers.set(
+			name,
+			setTimeout(() => {
+				_.#saveTimers.delete(name);
+				save();
+			}, delay)
+		);
+	}
+
+	/**
+	 * Cancel a save that is still waiting out its debounce window
+	 * @private
+	 */
+	#cancelSave(name) {
+		clearTimeout(this.#saveTimers.get(name));
+		this.#saveTimers.delete(name);
+	}
+
+	// =========================================================================
+	// Private Methods - Cart Attributes
+	// =========================================================================
+
+	/**
+	 * Validate and save a [data-cart-attribute] input after it changes
+	 * @private
+	 */
+	#handleAttributeInputChange(input) {
+		const _ = this;
+		const name = input.getAttribute('data-cart-attribute');
+		const value = _.#readAttributeInput(input);
+
+		// Native constraint validation (required, pattern, min, ...) comes first
+		input.setCustomValidity?.('');
+		if (input.checkValidity && !input.checkValidity()) {
+			input.reportValidity();
+			input.setAttribute('state', 'invalid');
+			_.#emit('cart-panel:attributes-invalid', {
+				name,
+				value,
+				message: input.validationMessage,
+			});
+			return;
+		}
+
+		const message = _.#validateAttribute(name, value, { [name]: value });
+		if (message) {
+			input.setCustomValidity?.(message);
+			input.reportValidity?.();
+			input.setAttribute('state', 'invalid');
+			_.#emit('cart-panel:attributes-invalid', { name, value, message });
+			return;
+		}
+
+		_.setAttributes({ [name]: value });
+	}
+
+	/**
+	 * Run the registered validator for an attribute
+	 * @private
+	 * @returns {string|null} Error message, or null when valid
+	 */
+	#validateAttribute(name, value, attributes) {
+		const validatorFn = this.#attributeValidators.get(name);
+		if (!validatorFn) return null;
+
+		const result = validatorFn(value, attributes);
+		if (result === true || result === undefined || result === null) return null;
+
+		return typeof result === 'string' ? result : `Invalid value for ${name}`;
+	}
+
+	/**
+	 * Read the value of a [data-cart-attribute] input, select, checkbox or radio
+	 * @private
+	 */
+	#readAttributeInput(input) {
+		if (input.type === 'checkbox') {
+			return input.checked
+				? input.getAttribute('value') || 'Yes'
+				: input.getAttribute('data-unchecked-value') || '';
+		}
+
+		if (input.type === 'radio') {
+			const name = input.getAttribute('data-cart-attribute');
+			const checked = this.#getAttributeInputs().find(
+				(radio) =>
+					radio.type === 'radio' &&
+					radio.checked &&
+					radio.getAttribute('data-cart-attribute') === name
+			);
+			return checked ? checked.value : '';
+		}
+
+		return input.value;
+	}
+
+	/**
+	 * Get every [data-cart-attribute] input inside the panel
+	 * @private
+	 */
+	#getAttributeInputs() {
+		return Array.from(this.querySelectorAll('[data-cart-attribute]'));
+	}
+
+	// =========================================================================
+	// Private Methods - Cart Item Event Handlers
+	// =========================================================================
+
+	/**
+	 * Handle cart item removal
+	 * @private
+	 */
+	#handleCartItemRemove(e) {
+		const { cartKey, element } = e.detail;
+		if (this.#isSavedItemElement(element)) {
+			this.removeSavedItem(cartKey);
+			return;
+		}
+		this.#changeCartItem(element, cartKey, 0, 'Failed to remove cart item:');
+	}
+
+	/**
+	 * Handle cart item quantity change
+	 * @private
+	 */
+	#handleCartItemQuantityChange(e) {
+		const { cartKey, quantity, element } = e.detail;
+		if (this.#isSavedItemElement(element)) {
+			this.#updateSavedItemQuantity(cartKey, quantity);
+			return;
+		}
+		this.#changeCartItem(element, cartKey, quantity, 'Failed to update cart item quantity:');
+	}
+
+	/**
+	 * Queue a quantity change for a cart item element and render the result
+	 * @private
+	 */
+	#changeCartItem(element, cartKey, quantity, errorLabel) {
+		const _ = this;
+		const removedItem = quantity === 0 ? element.itemData : null;
+		const anchorKey = removedItem ? _.#getPreviousItemKey(element) : null;
+		const previousLine = _.hasAttribute('optimistic')
+			? _.#applyOptimisticChange(cartKey, quantity)
+			: null;
+		const isOptimistic = Boolean(previousLine);
+
+		element.clearError();
+		if (!isOptimistic) element.setState('processing');
+
+		return _.#enqueue(async () => {
+			const updatedCart = await _.updateCartItem(cartKey, quantity);
+
+			if (updatedCart && !updatedCart.error) {
+				if (removedItem) _.#showRemovedItem(element, anchorKey, removedItem);
+				_.#renderCart(updatedCart, 'cart-panel:updated');
+				return updatedCart;
+			}
+
+			const clampedCart = await _.#clampToInventoryLimit(cartKey, quantity, updatedCart);
+			if (clampedCart) return clampedCart;
+
+			if (isOptimistic) {
+				// A rolled-back removal is re-created, so wait for it before showing the error
+				await _.#rollbackOptimisticChange(previousLine, {
+					key: cartKey,
+					quantity,
+					result: updatedCart,
+				});
+			} else {
+				// Reset the quantity input back to the server value
+				element.setData(element.itemData);
+			}
+			_.#showCartItemError(cartKey, updatedCart);
+			console.error(errorLabel, cartKey, quantity);
+
+			return updatedCart;
+		});
+	}
+
+	/**
+	 * Leave an undo placeholder where a removed line was
+	 * @private
+	 */
+	#showRemovedItem(element, anchorKey, itemData) {
+		const _ = this;
+		const itemsContainer = _.querySelector('[data-content-cart-items]');
+		const key = String(itemData.key || itemData.id);
+		if (!itemsContainer) return;
+
+		_.#dismissRemovedItem(key);
+
+		const placeholder = document.createElement('div');
+		placeholder.setAttribute('data-cart-removed-item', key);
+		placeholder.innerHTML = (_.#removedItemTemplate || CartPanel.#defaultRemovedItemTemplate)(
+			itemData
+		);
+
+		// An optimistic removal may already have taken the element out of the DOM
+		if (element.parentElement === itemsContainer) {
+			element.after(placeholder);
+		} else {
+			const anchor = anchorKey && itemsContainer.querySelector(`cart-item[key="${anchorKey}"]`);
+			if (anchor) {
+				anchor.after(placeholder);
+			} else {
+				itemsContainer.prepend(placeholder);
+			}
+		}
+
+		_.#removedItems.set(key, { itemData, placeholder, timer: _.#startRemovedItemTimer(key) });
+	}
+
+	/**
+	 * Expire a removed line's undo placeholder after the undo-timeout
+	 * @private
+	 */
+	#startRemovedItemTimer(key) {
+		return setTimeout(
+			() => this.#dismissRemovedItem(key),
+			this.#getNumberAttribute('undo-timeout', 5000)
+		);
+	}
+
+	/**
+	 * Remove a line's undo placeholder
+	 * @private
+	 */
+	#dismissRemovedItem(key) {
+		const removed = this.#removedItems.get(key);
+		if (!removed) return;
+
+		clearTimeout(removed.timer);
+		removed.placeholder.remove();
+		this.#removedItems.delete(key);
+
+		// The last placeholder may have been all that kept an emptied cart's items visible
+		if (this.#currentCart) this.#renderEmptyState(this.#currentCart);
+	}
+
+	/**
+	 * Key of the cart-item displayed before an element, used to place its undo placeholder
+	 * @private
+	 */
+	#getPreviousItemKey(element) {
+		let sibling = element.previousElementSibling;
+		while (sibling) {
+			if (sibling.matches('cart-item:not([state="destroying"])')) {
+				return sibling.getAttribute('key');
+			}
+			sibling = sibling.previousElementSibling;
+		}
+		return null;
+	}
+
+	/**
+	 * Undo placeholder content used when no template has been set
+	 * @private
+	 */
+	static #defaultRemovedItemTemplate(itemData) {
+		return `<span>${itemData.product_title || itemData.title} was removed.</span> <button type="button" data-action-undo-remove>Undo</button>`;
+	}
+
+	/**
+	 * Clamp a line to the quantity Shopify says is available after a 422 response.
+	 * Must run inside a queued operation.
+	 * @private
+	 * @returns {Promise<Object|null>} Clamped cart, or null if the error was not an inventory limit
+	 */
+	async #clampToInventoryLimit(cartKey, requested, result) {
+		const _ = this;
+		const available = _.#parseInventoryLimit(result);
+		if (available === null || available < 1 || available >= requested) return null;
+
+		const clampedCart = await _.updateCartItem(cartKey, available);
+		if (!clampedCart || clampedCart.error) return null;
+
+		_.#renderCart(clampedCart, 'cart-panel:updated');
+		_.#showCartItemError(cartKey, result);
+
+		_.#emit('cart-panel:inventory-limit', {
+			key: cartKey,
+			requested,
+			available,
+			message: result.description,
+			cart: _.#addCalculatedFields(clampedCart),
+		});
+
+		return clampedCart;
+	}
+
+	/**
+	 * Read the available quantity from a Shopify 422 description,
+	 * e.g. "You can only add 5 Wireless Headphones to the cart."
+	 * @private
+	 * @returns {number|null} Available quantity, or null if not an inventory limit
+	 */
+	#parseInventoryLimit(result) {
+		if (result?.status !== 422 || !result.description) return null;
+
+		const match = result.description.match(/only add (\d+)|all (\d+)/i);
+		return match ? parseInt(match[1] ?? match[2]) : null;
+	}
+
+	/**
+	 * Show a failed request's message inside the matching cart-item
+	 * @private
+	 */
+	#showCartItemError(cartKey, result) {
+		const cartItem = this.#findCartItem(cartKey);
+		if (!cartItem) return;
+
+		cartItem.setError(result?.description || result?.message || 'Something went wrong');
+	}
+
+	/**
+	 * Find the live (not destroying) cart-item element for a line key
+	 * @private
+	 */
+	#findCartItem(cartKey) {
+		return this.querySelector(
+			`[data-content-cart-items] cart-item[key="${cartKey}"]:not([state="destroying"])`
+		);
+	}
+
+	/**
+	 * Handle a line item property edit. Shopify issues a new line key when
+	 * properties change, so the element is re-keyed to stay in place.
+	 * @private
+	 */
+	#handleCartItemPropertiesChange(e) {
+		const _ = this;
+		const { cartKey, properties, element } = e.detail;
+		const quantity = element.itemData?.quantity;
+
+		if (_.#isSavedItemElement(element)) return;
+
+		element.clearError();
+		element.setState('processing');
+
+		return _.#enqueue(async () => {
+			// An earlier mutation's render may still be held back, so compare against its cart
+			const previousCart = _.#getLatestCart();
+			const updatedCart = await _.#callAdapter(
+				'change',
+				[{ id: cartKey, quantity, properties }],
+				'Error updating cart item properties:',
+				{ operation: 'properties', key: cartKey }
+			);
+
+			if (!updatedCart || updatedCart.error) {
+				element.setData(element.itemData);
+				_.#showCartItemError(cartKey, updatedCart);
+				return updatedCart;
+			}
+
+			const newKey = _.#findReplacementKey(cartKey, previousCart, updatedCart);
+			if (newKey) _.#rekeyCartItem(element, cartKey, newKey);
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:properties-changed', {
+				previousKey: cartKey,
+				key: newKey,
+				properties,
+				cart: _.#addCalculatedFields(updatedCart),
+			});
+
+			return updatedCart;
+		});
+	}
+
+	/**
+	 * Handle a variant swap. The new variant is added before the old line is removed,
+	 * so a failed add leaves the cart untouched.
+	 * @private
+	 */
+	#handleCartItemVariantChange(e) {
+		const _ = this;
+		const { cartKey, variantId, element } = e.detail;
+		const item = element.itemData;
+
+		if (!item || _.#isSameId(variantId, item.variant_id)) return;
+		if (_.#isSavedItemElement(element)) return;
+
+		element.clearError();
+		element.setState('processing');
+
+		return _.#enqueue(async () => {
+			// An earlier mutation's render may still be held back, so compare against its cart
+			const previousCart = _.#getLatestCart();
+			const line = { ..._.#toAddLine(item), id: variantId };
+
+			const addResult = await _.#callAdapter('add', [[line]], 'Error changing variant:', {
+				operation: 'variant',
+				key: cartKey,
+			});
+
+			if (!addResult || addResult.error) {
+				element.setData(item);
+				_.#showCartItemError(cartKey, addResult);
+				return addResult;
+			}
+
+			const updatedCart = await _.#callAdapter(
+				'change',
+				[{ id: cartKey, quantity: 0 }],
+				'Error changing variant:',
+				{ operation: 'variant', key: cartKey }
+			);
+
+			if (!updatedCart || updatedCart.error) {
+				// The new variant is in the cart but the old line is too, so show both
+				const cart = await _.getCart();
+				if (!cart.error) _.#renderCart(cart, 'cart-panel:updated');
+				_.#showCartItemError(cartKey, updatedCart);
+				return updatedCart;
+			}
+
+			// Merged into a line that's already displayed: let the diff remove this element
+			const newKey = String(addResult.items?.[0]?.key ?? '');
+			const merged = (previousCart?.items || []).some(
+				(previousItem) => String(previousItem.key || previousItem.id) === newKey
+			);
+			if (newKey && !merged) _.#rekeyCartItem(element, cartKey, newKey);
+
+			_.#renderCart(updatedCart, 'cart-panel:updated');
+			_.#emit('cart-panel:variant-changed', {
+				previousKey: cartKey,
+				key: newKey || null,
+				previousVariantId: item.variant_id,
+				variantId,
+				quantity: item.quantity,
+				cart: _.#addCalculatedFields(updatedCart),
+			});
+
+			return updatedCart;
+		});
+	}
+
+	/**
+	 * Find the line that replaced a key after a request changed its properties
+	 * @private
+	 * @returns {string|null} The new line key, or null if no replacement line was found
+	 */
+	#findReplacementKey(previousKey, previousCart, updatedCart) {
+		const previousItems = previousCart?.items || [];
+		const previousKeys = new Set(previousItems.map((item) => String(item.key || item.id)));
+		const previousIndex = previousItems.findIndex(
+			(item) => String(item.key || item.id) === String(previousKey)
+		);
+		const previousItem = previousItems[previousIndex];
+
+		// Lines that did not exist before the request
+		const newItems = updatedCart.items.filter(
+			(item) => !previousKeys.has(String(item.key || item.id))
+		);
+		const replacement =
+			newItems.find((item) => updatedCart.items.indexOf(item) === previousIndex) ||
+			newItems.find((item) => previousItem && item.variant_id === previousItem.variant_id) ||
+			newItems[0];
+
+		return replacement ? String(replacement.key || replacement.id) : null;
+	}
+
+	/**
+	 * Point an existing cart-item element at a new line key, so the render diff
+	 * updates it in place instead of destroying and re-adding it
+	 * @private
+	 */
+	#rekeyCartItem(element, previousKey, newKey) {
+		const _ = this;
+		element.setAttribute('key', newKey);
+
+		// Keep the local cart in step so renders before the response is shown don't drop the element
+		if (_.#currentCart?.items) {
+			_.#currentCart = {
+				..._.#currentCart,
+				items: _.#currentCart.items.map((item) =>
+					String(item.key || item.id) === String(previousKey) ? { ...item, key: newKey } : item
+				),
+			};
+		}
+	}
+
+	// =========================================================================
+	// Private Methods - Optimistic Updates
+	// =========================================================================
+
+	/**
+	 * Apply a quantity change to the local cart before the server answers
 	 * @private
+	 * @returns {Object|null} The line as it was ({ item, index }), or null if the change
+	 *   couldn't be applied locally
 	 */
-	#addItemsToDOM(itemsContainer, itemsToAdd, newKeys, cartData) {
-		setTimeout(() => {
-			itemsToAdd.forEach((itemData) => {
-				const cartItem = CartItem.createAnimated(itemData, cartData);
-				const targetIndex = newKeys.indexOf(itemData.key || itemData.id);
-
-				if (targetIndex === 0) {
-					itemsContainer.insertBefore(cartItem, itemsContainer.firstChild);
-				} else {
-					let insertAfter = null;
-					for (let i = targetIndex - 1; i >= 0; i--) {
-						const prevKey = newKeys[i];
-						const prevItem = itemsContainer.querySelector(`cart-item[key="${prevKey}"]`);
-						if (prevItem) {
-							insertAfter = prevItem;
-							break;
-						}
-					}
+	#applyOptimisticChange(cartKey, quantity) {
+		const _ = this;
+		if (!_.#currentCart?.items) return null;
+
+		const cart = structuredClone(_.#currentCart);
+		const index = cart.items.findIndex((item) => String(item.key || item.id) === String(cartKey));
+		if (index === -1) return null;
+
+		const previousLine = { item: structuredClone(cart.items[index]), index };
+		const item = cart.items[index];
+		const previousQuantity = item.quantity || 0;
+		const unitPrice =
+			item.final_price ?? item.price ?? (item.line_price || 0) / (previousQuantity || 1);
+		const quantityDelta = quantity - previousQuantity;
+		const priceDelta = Math.round(unitPrice * quantityDelta);
+
+		if (quantity === 0) {
+			cart.items.splice(index, 1);
+		} else {
+			item.quantity = quantity;
+			item.line_price = Math.round(unitPrice * quantity);
+			if (item.final_line_price !== undefined) item.final_line_price = item.line_price;
+		}
+
+		_.#adjustCartTotals(cart, quantityDelta, priceDelta);
+
+		_.#currentCart = cart;
+		_.#renderCartItems(cart);
+		_.#renderCartPanel(cart);
+
+		return previousLine;
+	}
+
+	/**
+	 * Put back the line a failed optimistic change replaced. Only that line is restored,
+	 * so other optimistic changes still in flight stay on screen.
+	 * @private
+	 * @returns {Promise<void>} Resolves once re-created lines are back in the DOM
+	 */
+	#rollbackOptimisticChange(previousLine, detail) {
+		const _ = this;
+		const { item: previousItem, index } = previousLine;
+		const key = String(previousItem.key || previousItem.id);
+
+		const cart = structuredClone(_.#currentCart);
+		const currentIndex = cart.items.findIndex((item) => String(item.key || item.id) === key);
+		const currentItem = currentIndex === -1 ? null : cart.items[currentIndex];
+
+		if (currentItem) {
+			cart.items[currentIndex] = previousItem;
+		} else {
+			cart.items.splice(Math.min(index, cart.items.length), 0, previousItem);
+		}
+
+		_.#adjustCartTotals(
+			cart,
+			(previousItem.quantity || 0) - (currentItem?.quantity || 0),
+			(previousItem.line_price || 0) - (currentItem?.line_price || 0)
+		);
+
+		_.#currentCart = cart;
+		const rendered = _.#renderCartItems(cart);
+		_.#renderCartPanel(cart);
+
+		_.#emit('cart-panel:rollback', {
+			...detail,
+			cart: _.#addCalculatedFields(cart),
+		});
+
+		return rendered;
+	}
+
+	/**
+	 * Shift a locally edited cart's count and totals by a line's change
+	 * @private
+	 */
+	#adjustCartTotals(cart, quantityDelta, priceDelta) {
+		if (typeof cart.item_count === 'number') cart.item_count += quantityDelta;
+		if (typeof cart.total_price === 'number') cart.total_price += priceDelta;
+		if (typeof cart.items_subtotal_price === 'number') cart.items_subtotal_price += priceDelta;
+	}
+
+	// =========================================================================
+	// Private Methods - Rendering
+	// =========================================================================
+
+	/**
+	 * Render a server cart and emit the change events.
+	 * Held back while newer mutations are queued so only the latest cart is shown.
+	 * @private
+	 */
+	#renderCart(cartObj, eventName, options = {}) {
+		const _ = this;
+
+		if (_.#pendingCount > 1) {
+			_.#deferredRender = { cartObj, eventName, options };
+			return;
+		}
+		_.#deferredRender = null;
+
+		_.#currentCart = cartObj;
+		_.#renderCartItems(cartObj);
+		_.#renderCartPanel(cartObj);
+
+		const cartWithCalculatedFields = _.#addCalculatedFields(cartObj);
+		_.#emit(eventName, { cart: cartWithCalculatedFields });
+		_.#emit('cart-panel:data-changed', cartWithCalculatedFields);
+
+		// A cached snapshot is only a placeholder until the server answers
+		if (options.stale) return;
+
+		_.removeAttribute('stale');
+		_.#storeSnapshot(cartObj);
+		if (options.broadcast !== false) _.#broadcastCart(cartObj);
+	}
+
+	/**
+	 * Update cart count elements across the page
+	 * @private
+	 */
+	#renderCartCount(cartData) {
+		if (!cartData) return;
+
+		const visibleItems = this.#getVisibleCartItems(cartData);
+		const visibleItemCount = visibleItems.reduce((total, item) => total + item.quantity, 0);
+
+		const cartCountElements = document.querySelectorAll('[data-content-cart-count]');
+		cartCountElements.forEach((element) => {
+			element.textContent = visibleItemCount;
+		});
+	}
+
+	/**
+	 * Update cart subtotal elements across the page
+	 * @private
+	 */
+	#renderCartSubtotal(cartData) {
+		if (!cartData) return;
+
+		const pricedItems = cartData.items.filter((item) => {
+			const ignorePrice = item.properties?._ignore_price_in_subtotal;
+			return !ignorePrice;
+		});
+		const subtotal = pricedItems.reduce((total, item) => total + (item.line_price || 0), 0);
+
+		const cartSubtotalElements = document.querySelectorAll('[data-content-cart-subtotal]');
+		cartSubtotalElements.forEach((element) => {
+			const formatted = (subtotal / 100).toFixed(2);
+			element.textContent = `$${formatted}`;
+		});
+	}
+
+	/**
+	 * Update cart panel sections (has-items/empty)
+	 * @private
+	 */
+	#renderCartPanel(cart = null) {
+		const _ = this;
+		const cartData = cart || _.#currentCart;
+		if (!cartData) return;
+
+		_.#renderEmptyState(cartData);
+		_.#renderCartCount(cartData);
+		_.#renderCartSubtotal(cartData);
+		_.#renderCartNote(cartData);
+		_.#renderCartAttributes(cartData);
+		_.#renderCartDiscounts(cartData);
+		_.#renderClearUndo();
+		_.#renderSavedItems(cartData);
+	}
+
+	/**
+	 * Toggle the has-items/empty sections and state attribute. Lines with an undo
+	 * placeholder still count, so the placeholder stays visible after the last removal.
+	 * @private
+	 */
+	#renderEmptyState(cartData) {
+		const _ = this;
+		const hasVisibleItems = _.#getVisibleCartItems(cartData).length > 0 || _.#removedItems.size > 0;
+
+		// Set state attribute for CSS styling (e.g., Tailwind variants)
+		_.setAttribute('state', hasVisibleItems ? 'has-items' : 'empty');
+
+		const hasItemsSection = _.querySelector('[data-cart-has-items]');
+		const emptySection = _.querySelector('[data-cart-is-empty]');
+
+		if (hasItemsSection && emptySection) {
+			hasItemsSection.style.display = hasVisibleItems ? '' : 'none';
+			emptySection.style.display = hasVisibleItems ? 'none' : '';
+		}
+	}
+
+	/**
+	 * Render cart.discount_codes into [data-content-cart-discounts] containers.
+	 * Each code gets state="applicable" or state="not-applicable" and a remove button.
+	 * @private
+	 */
+	#renderCartDiscounts(cartData) {
+		const discounts = cartData.discount_codes || [];
+		const containers = this.querySelectorAll('[data-content-cart-discounts]');
+
+		containers.forEach((container) => {
+			const tagName = ['UL', 'OL'].includes(container.tagName) ? 'li' : 'div';
+
+			container.replaceChildren(
+				...discounts.map((discount) => {
+					const element = document.createElement(tagName);
+					element.setAttribute('data-cart-discount-code', discount.code);
+					element.setAttribute('state', discount.applicable ? 'applicable' : 'not-applicable');
+
+					const label = document.createElement('span');
+					label.textContent = discount.code;
+
+					const removeButton = document.createElement('button');
+					removeButton.type = 'button';
+					removeButton.textContent = '\u00d7';
+					removeButton.setAttribute('data-action-remove-discount', discount.code);
+					removeButton.setAttribute('aria-label', `Remove discount ${discount.code}`);
+
+					element.append(label, removeButton);
+					return element;
+				})
+			);
+		});
+	}
+
+	/**
+	 * Hydrate [data-cart-attribute] inputs from cart.attributes.
+	 * The input the shopper is using is left alone.
+	 * @private
+	 */
+	#renderCartAttributes(cartData) {
+		const attributes = cartData.attributes || {};
+
+		this.#getAttributeInputs().forEach((input) => {
+			if (input === document.activeElement && input.type !== 'checkbox' && input.type !== 'radio') {
+				return;
+			}
+
+			const value = attributes[input.getAttribute('data-cart-attribute')] ?? '';
+
+			if (input.type === 'checkbox') {
+				input.checked = value !== '' && value === (input.getAttribute('value') || 'Yes');
+			} else if (input.type === 'radio') {
+				input.checked = input.value === value;
+			} else {
+				input.value = value;
+			}
+		});
+	}
+
+	/**
+	 * Populate [data-cart-note] fields from the cart.
+	 * Skipped while the shopper is editing so typing is never overwritten.
+	 * @private
+	 */
+	#renderCartNote(cartData) {
+		if (this.#saveTimers.has('note')) return;
+
+		const noteElements = this.querySelectorAll('[data-cart-note]');
+		noteElements.forEach((element) => {
+			if (element === document.activeElement) return;
+			element.value = cartData.note || '';
+		});
+	}
+
+	/**
+	 * Render cart items with smart add/update/remove
+	 * @private
+	 * @returns {Promise<void>} Resolves once new items have been added to the DOM
+	 */
+	#renderCartItems(cartData) {
+		const _ = this;
+		const itemsContainer = _.querySelector('[data-content-cart-items]');
+
+		if (!itemsContainer || !cartData || !cartData.items) return Promise.resolve();
+
+		// Without templates the items would render blank. Wait for the first render after
+		// templates are registered, so it still replaces the contents without animating.
+		if (!CartItem.hasTemplates) return Promise.resolve();
+
+		const rendered = _.#renderItemList(itemsContainer, _.#getVisibleCartItems(cartData), cartData, {
+			initial: _.#isInitialRender,
+		});
+		_.#isInitialRender = false;
+		return rendered;
+	}
+
+	/**
+	 * Render saved-for-later entries into [data-content-saved-items] with the same diff as the cart
+	 * @private
+	 */
+	#renderSavedItems(cartData) {
+		const _ = this;
+		const savedContainer = _.querySelector('[data-content-saved-items]');
+		const savedItems = _.#readSavedItems();
+
+		_.querySelectorAll('[data-cart-has-saved-items]').forEach((element) => {
+			element.style.display = savedItems.length ? '' : 'none';
+		});
+
+		if (!savedContainer || !CartItem.hasTemplates) return;
+
+		const items = savedItems.map((item) => ({
+			...item,
+			line_price: item.price * item.quantity,
+			final_line_price: item.price * item.quantity,
+		}));
+
+		_.#renderItemList(savedContainer, items, cartData, {
+			initial: _.#isInitialSavedRender,
+			template: 'saved',
+		});
+		_.#isInitialSavedRender = false;
+	}
+
+	/**
+	 * Render line items into a container with smart add/update/remove
+	 * @private
+	 * @param {HTMLElement} itemsContainer - Container of cart-item elements
+	 * @param {Array<Object>} items - Line items in display order
+	 * @param {Object} cartData - Full cart object passed to templates
+	 * @param {Object} options - Render options
+	 * @param {boolean} [options.initial] - Replace the container's contents without animation
+	 * @param {string} [options.template] - Template name for new cart-item elements
+	 * @returns {Promise<void>} Resolves once new items have been added to the DOM
+	 */
+	#renderItemList(itemsContainer, items, cartData, options = {}) {
+		const _ = this;
+
+		// Initial render - load all items without animation
+		if (options.initial) {
+			itemsContainer.innerHTML = '';
+			items.forEach((itemData) => {
+				itemsContainer.appendChild(_.#createItemElement(itemData, cartData, options.template));
+			});
+			return Promise.resolve();
+		}
+
+		// Get current DOM items. Items animating out are already gone, so a line that
+		// comes back (e.g. a rolled-back removal) is re-created instead of revived.
+		const currentItems = _.#getLiveItemElements(itemsContainer);
+		const currentKeys = new Set(currentItems.map((item) => item.getAttribute('key')));
+
+		// Get new cart data keys
+		const newKeys = items.map((item) => item.key || item.id);
+		const newKeysSet = new Set(newKeys);
+
+		// Step 1: Remove items no longer in cart
+		_.#removeItemsFromDOM(itemsContainer, newKeysSet);
+
+		// Step 2: Update existing items
+		_.#updateItemsInDOM(itemsContainer, items, cartData);
+
+		// Step 3: Add new items with animation
+		const itemsToAdd = items.filter((itemData) => !currentKeys.has(itemData.key || itemData.id));
+		return _.#addItemsToDOM(itemsContainer, itemsToAdd, newKeys, cartData, options.template);
+	}
+
+	/**
+	 * cart-item elements in a container that aren't animating out
+	 * @private
+	 */
+	#getLiveItemElements(itemsContainer) {
+		return Array.from(itemsContainer.querySelectorAll('cart-item:not([state="destroying"])'));
+	}
+
+	/**
+	 * Create a cart-item element, optionally with a template override and entry animation
+	 * @private
+	 */
+	#createItemElement(itemData, cartData, template, animate = false) {
+		const cartItem = animate
+			? CartItem.createAnimated(itemData, cartData)
+			: new CartItem(itemData, cartData);
+		if (template) cartItem.setAttribute('template', template);
+		return cartItem;
+	}
+
+	/**
+	 * Remove items from DOM that are no longer in cart
+	 * @private
+	 */
+	#removeItemsFromDOM(itemsContainer, newKeysSet) {
+		const currentItems = this.#getLiveItemElements(itemsContainer);
+		const itemsToRemove = currentItems.filter((item) => !newKeysSet.has(item.getAttribute('key')));
+
+		itemsToRemove.forEach((item) => {
+			item.destroyYourself();
+		});
+	}
+
+	/**
+	 * Update existing cart-item elements with fresh data
+	 * @private
+	 */
+	#updateItemsInDOM(itemsContainer, items, cartData) {
+		const existingItems = this.#getLiveItemElements(itemsContainer);
+
+		existingItems.forEach((cartItemEl) => {
+			const key = cartItemEl.getAttribute('key');
+			const updatedItemData = items.find((item) => (item.key || item.id) === key);
+			if (updatedItemData) cartItemEl.setData(updatedItemData, cartData);
+		});
+	}
+
+	/**
+	 * Add new items to DOM with animation delay
+	 * @private
+	 * @returns {Promise<void>} Resolves once the items have been inserted
+	 */
+	#addItemsToDOM(itemsContainer, itemsToAdd, newKeys, cartData, template) {
+		if (!itemsToAdd.length) return Promise.resolve();
 
-					if (insertAfter) {
-						insertAfter.insertAdjacentElement('afterend', cartItem);
+		return new Promise((resolve) =>
+			setTimeout(() => {
+				itemsToAdd.forEach((itemData) => {
+					const cartItem = this.#createItemElement(itemData, cartData, template, true);
+					const targetIndex = newKeys.indexOf(itemData.key || itemData.id);
+
+					if (targetIndex === 0) {
+						itemsContainer.insertBefore(cartItem, itemsContainer.firstChild);
 					} else {
-						itemsContainer.appendChild(cartItem);
+						let insertAfter = null;
+						for (let i = targetIndex - 1; i >= 0; i--) {
+							const prevKey = newKeys[i];
+							const prevItem = itemsContainer.querySelector(
+								`cart-item[key="${prevKey}"]:not([state="destroying"])`
+							);
+							if (prevItem) {
+								insertAfter = prevItem;
+								break;
+							}
+						}
+
+						if (insertAfter) {
+							insertAfter.insertAdjacentElement('afterend', cartItem);
+						} else {
+							itemsContainer.appendChild(cartItem);
+						}
 					}
-				}
-			});
-		}, 100);
+				});
+				resolve();
+			}, 100)
+		);
 	}
 
 	// =========================================================================
 	// Private Methods - Helpers
 	// =========================================================================
 
+	/**
+	 * Read a non-negative numeric attribute, falling back to a default
+	 * @private
+	 */
+	#getNumberAttribute(name, defaultValue) {
+		const value = parseInt(this.getAttribute(name));
+		return Number.isNaN(value) ? defaultValue : Math.max(0, value);
+	}
+
+	/**
+	 * Compare IDs that may be numeric or Shopify global IDs (gid://shopify/ProductVariant/1)
+	 * @private
+	 */
+	#isSameId(a, b) {
+		const normalize = (id) => String(id ?? '').replace(/^gid:\/\/shopify\/\w+\//, '');
+		return normalize(a) === normalize(b);
+	}
+
 	/**
 	 * Filter cart items to exclude hidden items
 	 * @private
@@ -491,6 +2791,25 @@ class CartPanel extends HTMLElement {
 		});
 	}
 
+	/**
+	 * Build a /cart/add.json line from loosely shaped input
+	 * @private
+	 */
+	#normalizeLineItem(item) {
+		if (!item || item.id === undefined || item.id === null) {
+			throw new Error('Cart line item must have a variant id');
+		}
+
+		const line = {
+			id: item.id,
+			quantity: parseInt(item.quantity ?? 1),
+		};
+		if (item.properties && Object.keys(item.properties).length) line.properties = item.properties;
+		if (item.selling_plan) line.selling_plan = item.selling_plan;
+
+		return line;
+	}
+
 	/**
 	 * Add calculated fields to cart object
 	 * @private
@@ -516,5 +2835,15 @@ if (!customElements.get('cart-panel')) {
 	customElements.define('cart-panel', CartPanel);
 }
 
-export { CartPanel, CartItem, CartItemContent, CartItemProcessing };
+export {
+	CartPanel,
+	CartItem,
+	CartItemContent,
+	CartItemProcessing,
+	CartError,
+	ShopifyAjaxAdapter,
+	MemoryCartAdapter,
+	StorefrontCartAdapter,
+	ShippingEstimator,
+};
 export default CartPanel;
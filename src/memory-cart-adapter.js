@@ -0,0 +1,311 @@
+import { CartError } from './cart-error.js';
+
+// =============================================================================
+// MemoryCartAdapter
+// =============================================================================
+
+/**
+ * In-memory cart adapter that mimics Shopify's AJAX Cart API.
+ * Useful for demos, tests and prototyping without a Shopify store.
+ */
+class MemoryCartAdapter {
+	#cart;
+	#variants;
+	#latency;
+	#discounts;
+	#shippingRates;
+	#keyCounter = 0;
+
+	/**
+	 * @param {Object} [cart={}] - Initial cart data (Shopify cart shape)
+	 * @param {Object} [options={}] - Adapter options
+	 * @param {Object} [options.variants={}] - Item fields keyed by variant id, used by add()
+	 * @param {number} [options.latency=0] - Simulated network delay in milliseconds
+	 * @param {Object} [options.discounts={}] - Valid discount codes mapped to { percentage } or
+	 *   { amount } (in cents). Unknown codes are kept on the cart as not applicable.
+	 * @param {Array<Object>|Function} [options.shippingRates=[]] - Rates with name and price (in
+	 *   cents), or a function that takes (address, cart) and returns them
+	 */
+	constructor(cart = {}, options = {}) {
+		this.#variants = options.variants || {};
+		this.#latency = options.latency || 0;
+		this.#shippingRates = options.shippingRates || [];
+		this.#discounts = Object.fromEntries(
+			Object.entries(options.discounts || {}).map(([code, value]) => [code.toLowerCase(), value])
+		);
+		this.#cart = {
+			token: `memory-${Date.now()}`,
+			note: null,
+			attributes: {},
+			discount_codes: [],
+			currency: 'USD',
+			...structuredClone(cart),
+		};
+		this.#cart.items = (this.#cart.items || []).map((item) => this.#normalizeItem(item));
+		this.#recalculate();
+	}
+
+	/**
+	 * Fetch the current cart
+	 * @returns {Promise<Object>} Cart data object
+	 */
+	get() {
+		return this.#respond(() => this.#cart);
+	}
+
+	/**
+	 * Add line items, merging with identical existing lines
+	 * @param {Array<Object>} items - Line items with id, quantity, properties, selling_plan
+	 * @returns {Promise<Object>} Object containing the added items
+	 */
+	add(items) {
+		return this.#respond(() => {
+			const added = items.map((line) => {
+				const properties = line.properties || {};
+				const existing = this.#cart.items.find(
+					(item) =>
+						String(item.variant_id) === String(line.id) &&
+						JSON.stringify(item.properties) === JSON.stringify(properties) &&
+						(item.selling_plan || null) === (line.selling_plan || null)
+				);
+
+				if (existing) {
+					existing.quantity += parseInt(line.quantity ?? 1);
+					return existing;
+				}
+
+				const item = this.#normalizeItem({
+					...this.#variants[line.id],
+					id: line.id,
+					quantity: parseInt(line.quantity ?? 1),
+					properties,
+					selling_plan: line.selling_plan || null,
+				});
+				this.#cart.items.unshift(item);
+				return item;
+			});
+
+			this.#recalculate();
+			return { items: added };
+		});
+	}
+
+	/**
+	 * Change a single line by key, variant id or 1-based line number
+	 * @param {Object} line - Change payload with id or line, quantity and optional properties
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	change(line) {
+		return this.#respond(() => {
+			const index = this.#findLineIndex(line);
+			if (index === -1) {
+				throw new CartError('Cart Error', { status: 400, description: 'Cart line not found' });
+			}
+
+			const item = this.#cart.items[index];
+			const quantity = line.quantity !== undefined ? parseInt(line.quantity) : item.quantity;
+
+			if (quantity === 0) {
+				this.#cart.items.splice(index, 1);
+			} else {
+				item.quantity = quantity;
+
+				// Shopify issues a new line key whenever properties change
+				if (line.properties) {
+					item.properties = { ...line.properties };
+					item.key = this.#generateKey(item.variant_id);
+				}
+			}
+
+			this.#recalculate();
+			return this.#cart;
+		});
+	}
+
+	/**
+	 * Update several lines, the note, cart attributes or discount codes at once
+	 * @param {Object} payload - Update payload with updates, note, attributes, discount
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	update(payload = {}) {
+		return this.#respond(() => {
+			const { updates, note, attributes, discount } = payload;
+
+			if (Array.isArray(updates)) {
+				updates.forEach((quantity, index) => {
+					if (this.#cart.items[index]) this.#cart.items[index].quantity = parseInt(quantity);
+				});
+			} else if (updates) {
+				Object.entries(updates).forEach(([id, quantity]) => {
+					const index = this.#findLineIndex({ id });
+					if (index !== -1) this.#cart.items[index].quantity = parseInt(quantity);
+				});
+			}
+			this.#cart.items = this.#cart.items.filter((item) => item.quantity > 0);
+
+			if (note !== undefined) this.#cart.note = note;
+
+			if (attributes) {
+				Object.entries(attributes).forEach(([name, value]) => {
+					if (value === '' || value === null) {
+						delete this.#cart.attributes[name];
+					} else {
+						this.#cart.attributes[name] = value;
+					}
+				});
+			}
+
+			// Like Shopify, the discount field replaces every code on the cart
+			if (discount !== undefined) {
+				this.#cart.discount_codes = String(discount || '')
+					.split(',')
+					.map((code) => code.trim())
+					.filter(Boolean)
+					.map((code) => ({ code, applicable: false }));
+			}
+
+			this.#recalculate();
+			return this.#cart;
+		});
+	}
+
+	/**
+	 * Remove every line from the cart
+	 * @returns {Promise<Object>} Updated (empty) cart data object
+	 */
+	clear() {
+		return this.#respond(() => {
+			this.#cart.items = [];
+			this.#recalculate();
+			return this.#cart;
+		});
+	}
+
+	/**
+	 * Start calculating shipping rates (resolved immediately in memory)
+	 * @param {Object} address - Address with country, province and zip
+	 * @returns {Promise<null>}
+	 */
+	prepareShippingRates() {
+		return this.#respond(() => null);
+	}
+
+	/**
+	 * Get shipping rates for an address, shaped like Shopify's async_shipping_rates response
+	 * @param {Object} address - Address with country, province and zip
+	 * @returns {Promise<Array<Object>>} Shipping rates
+	 */
+	getShippingRates(address) {
+		return this.#respond(() => {
+			const rates =
+				typeof this.#shippingRates === 'function'
+					? this.#shippingRates(address, this.#cart)
+					: this.#shippingRates;
+
+			return rates.map((rate) => ({
+				name: rate.name,
+				code: rate.code || rate.name,
+				price: ((rate.price || 0) / 100).toFixed(2),
+				currency: this.#cart.currency,
+			}));
+		});
+	}
+
+	/**
+	 * Run an operation after the simulated latency and return a copy of the result
+	 * @private
+	 */
+	#respond(operation) {
+		return new Promise((resolve, reject) => {
+			setTimeout(() => {
+				try {
+					resolve(structuredClone(operation()));
+				} catch (error) {
+					reject(error);
+				}
+			}, this.#latency);
+		});
+	}
+
+	/**
+	 * Find a line by key, variant id, or 1-based line number
+	 * @private
+	 */
+	#findLineIndex({ id, line }) {
+		if (line !== undefined) {
+			const index = parseInt(line) - 1;
+			return this.#cart.items[index] ? index : -1;
+		}
+
+		const byKey = this.#cart.items.findIndex((item) => item.key === String(id));
+		if (byKey !== -1) return byKey;
+
+		return this.#cart.items.findIndex((item) => String(item.variant_id) === String(id));
+	}
+
+	/**
+	 * Fill in the fields Shopify would return for a line item
+	 * @private
+	 */
+	#normalizeItem(item) {
+		const quantity = parseInt(item.quantity ?? 1);
+		const price = item.price ?? Math.round((item.line_price || 0) / (quantity || 1));
+		const variantId = item.variant_id ?? item.id;
+
+		return {
+			...item,
+			id: variantId,
+			variant_id: variantId,
+			key: item.key || this.#generateKey(variantId),
+			quantity,
+			price,
+			properties: item.properties || {},
+		};
+	}
+
+	/**
+	 * Generate a unique Shopify-style line key
+	 * @private
+	 */
+	#generateKey(variantId) {
+		this.#keyCounter += 1;
+		return `${variantId}:${Date.now().toString(36)}${this.#keyCounter}`;
+	}
+
+	/**
+	 * Recalculate line prices and cart totals
+	 * @private
+	 */
+	#recalculate() {
+		const cart = this.#cart;
+
+		cart.items.forEach((item) => {
+			item.line_price = item.price * item.quantity;
+			item.final_price = item.price;
+			item.final_line_price = item.line_price;
+			item.original_line_price = item.line_price;
+		});
+
+		cart.item_count = cart.items.reduce((total, item) => total + item.quantity, 0);
+		cart.items_subtotal_price = cart.items.reduce((total, item) => total + item.line_price, 0);
+		cart.original_total_price = cart.items_subtotal_price;
+
+		// Order-level discounts only apply to a cart with items
+		cart.total_discount = 0;
+		(cart.discount_codes || []).forEach((discountCode) => {
+			const discount = this.#discounts[discountCode.code.toLowerCase()];
+			discountCode.applicable = Boolean(discount) && cart.items.length > 0;
+			if (!discountCode.applicable) return;
+
+			const amount = discount.percentage
+				? Math.round((cart.items_subtotal_price * discount.percentage) / 100)
+				: discount.amount || 0;
+			cart.total_discount += amount;
+		});
+		cart.total_discount = Math.min(cart.total_discount, cart.items_subtotal_price);
+		cart.total_price = cart.items_subtotal_price - cart.total_discount;
+	}
+}
+
+export { MemoryCartAdapter };
+export default MemoryCartAdapter;
@@ -0,0 +1,272 @@
+// =============================================================================
+// ShippingEstimator Component
+// =============================================================================
+
+/**
+ * Shipping rate estimator that lives inside a cart-panel.
+ * Reads country/province/zip fields, drives the adapter's prepare + poll shipping
+ * rate flow, and renders the rates through a template. Once an address has been
+ * estimated, rates are refreshed whenever the panel's cart changes.
+ * @extends HTMLElement
+ */
+class ShippingEstimator extends HTMLElement {
+	// Static template function shared across all instances
+	static #template = null;
+
+	// Private fields
+	#panel = null;
+	#address = null;
+	#rates = null;
+	#cartSignature = null;
+	#requestId = 0;
+	#handlers = {};
+
+	/**
+	 * Set the template function for rendering shipping rates
+	 * @param {Function} templateFn - Function that takes (rates, address) and returns HTML string
+	 */
+	static setTemplate(templateFn) {
+		if (typeof templateFn !== 'function') {
+			throw new Error('Shipping rates template must be a function');
+		}
+		ShippingEstimator.#template = templateFn;
+	}
+
+	constructor() {
+		super();
+
+		// Bind event handlers
+		this.#handlers = {
+			submit: this.#handleSubmit.bind(this),
+			cartChange: this.#handleCartChange.bind(this),
+		};
+	}
+
+	connectedCallback() {
+		const _ = this;
+
+		if (!_.hasAttribute('state')) _.setAttribute('state', 'idle');
+
+		_.addEventListener('submit', _.#handlers.submit);
+
+		_.#panel = _.closest('cart-panel');
+		if (_.#panel) {
+			_.#panel.addEventListener('cart-panel:data-changed', _.#handlers.cartChange);
+		}
+	}
+
+	disconnectedCallback() {
+		this.removeEventListener('submit', this.#handlers.submit);
+		if (this.#panel) {
+			this.#panel.removeEventListener('cart-panel:data-changed', this.#handlers.cartChange);
+			this.#panel = null;
+		}
+
+		// Let any poll still running know its result is no longer wanted
+		this.#requestId += 1;
+	}
+
+	// =========================================================================
+	// Public API
+	// =========================================================================
+
+	/**
+	 * Last estimated address
+	 * @returns {Object|null} Address with country, province and zip
+	 */
+	get address() {
+		return this.#address;
+	}
+
+	/**
+	 * Rates from the last successful estimate
+	 * @returns {Array<Object>|null} Shopify shipping rate objects
+	 */
+	get rates() {
+		return this.#rates;
+	}
+
+	/**
+	 * Estimate shipping rates for an address
+	 * @param {Object} [address] - Address with country, province and zip. Read from the
+	 *   estimator's fields when omitted.
+	 * @returns {Promise<Array<Object>|Object>} Shipping rates, or an error object on failure
+	 */
+	async estimate(address = this.#readAddress()) {
+		const _ = this;
+		const adapter = _.#panel?.adapter;
+		const requestId = ++_.#requestId;
+
+		_.#address = address;
+		_.#setError(null);
+		_.setAttribute('state', 'loading');
+
+		try {
+			if (typeof adapter?.prepareShippingRates !== 'function') {
+				throw new Error('The cart adapter does not support shipping estimates');
+			}
+
+			// Resolve shipping endpoints under the panel's routes root, like its cart requests
+			const options = { routesRoot: _.#panel.routesRoot };
+			await adapter.prepareShippingRates(address, options);
+			const rates = await _.#pollRates(adapter, address, options, requestId);
+
+			// A newer estimate (or a disconnect) superseded this one
+			if (requestId !== _.#requestId) return rates;
+
+			_.#rates = rates;
+			_.#renderRates();
+			_.setAttribute('state', rates.length ? 'ready' : 'empty');
+			_.#emit('shipping-estimator:rates', { address, rates });
+
+			return rates;
+		} catch (error) {
+			const result = {
+				error: true,
+				message: error.description || error.message,
+				status: error.status ?? null,
+			};
+
+			if (requestId !== _.#requestId) return result;
+
+			console.error('Error estimating shipping rates:', error);
+			_.#rates = null;
+			_.#renderRates();
+			_.#setError(result.message);
+			_.setAttribute('state', 'error');
+			_.#emit('shipping-estimator:error', { address, ...result });
+
+			return result;
+		}
+	}
+
+	// =========================================================================
+	// Private Methods
+	// =========================================================================
+
+	/**
+	 * Estimate from the estimator's form instead of submitting it
+	 * @private
+	 */
+	#handleSubmit(e) {
+		e.preventDefault();
+		this.estimate();
+	}
+
+	/**
+	 * Re-estimate when the cart contents change after an address was estimated
+	 * @private
+	 */
+	#handleCartChange(e) {
+		const cart = e.detail;
+		const signature = JSON.stringify([
+			cart?.total_price,
+			(cart?.items || []).map((item) => [item.key, item.quantity]),
+		]);
+
+		const changed = this.#cartSignature !== null && signature !== this.#cartSignature;
+		this.#cartSignature = signature;
+
+		if (changed && this.#address && cart?.item_count > 0) {
+			this.estimate(this.#address);
+		}
+	}
+
+	/**
+	 * Poll the adapter until Shopify has finished calculating rates
+	 * @private
+	 */
+	async #pollRates(adapter, address, options, requestId) {
+		const interval = this.#getNumberAttribute('poll-interval', 500);
+		const attempts = this.#getNumberAttribute('poll-attempts', 20);
+
+		for (let attempt = 0; attempt < attempts; attempt++) {
+			if (requestId !== this.#requestId) return [];
+
+			const rates = await adapter.getShippingRates(address, options);
+			if (rates) return rates;
+
+			await new Promise((resolve) => setTimeout(resolve, interval));
+		}
+
+		throw new Error('Shipping rates took too long to calculate');
+	}
+
+	/**
+	 * Read the address from [name="country"], [name="province"] and [name="zip"] fields
+	 * @private
+	 */
+	#readAddress() {
+		const value = (name) => this.querySelector(`[name="${name}"]`)?.value.trim() || '';
+		return { country: value('country'), province: value('province'), zip: value('zip') };
+	}
+
+	/**
+	 * Render rates into [data-content-shipping-rates] using the template
+	 * @private
+	 */
+	#renderRates() {
+		const container = this.querySelector('[data-content-shipping-rates]');
+		if (!container) return;
+
+		if (!this.#rates) {
+			container.innerHTML = '';
+			return;
+		}
+
+		const template = ShippingEstimator.#template || ShippingEstimator.#defaultTemplate;
+		container.innerHTML = template(this.#rates, this.#address);
+	}
+
+	/**
+	 * Show or clear the message in [data-content-shipping-error]
+	 * @private
+	 */
+	#setError(message) {
+		const element = this.querySelector('[data-content-shipping-error]');
+		if (element) element.textContent = message || '';
+	}
+
+	/**
+	 * Template used when none has been set
+	 * @private
+	 */
+	static #defaultTemplate(rates) {
+		if (!rates.length) return '<p>No shipping rates available for this address.</p>';
+
+		return `<ul>${rates
+			.map(
+				(rate) =>
+					`<li><span>${rate.name}</span> <span>${rate.price} ${rate.currency || ''}</span></li>`
+			)
+			.join('')}</ul>`;
+	}
+
+	/**
+	 * Read a non-negative numeric attribute, falling back to a default
+	 * @private
+	 */
+	#getNumberAttribute(name, defaultValue) {
+		const value = parseInt(this.getAttribute(name));
+		return Number.isNaN(value) ? defaultValue : Math.max(0, value);
+	}
+
+	/**
+	 * Dispatch a bubbling event from the estimator
+	 * @private
+	 */
+	#emit(eventName, detail) {
+		this.dispatchEvent(new CustomEvent(eventName, { bubbles: true, detail }));
+	}
+}
+
+// =============================================================================
+// Register Custom Elements
+// =============================================================================
+
+if (!customElements.get('shipping-estimator')) {
+	customElements.define('shipping-estimator', ShippingEstimator);
+}
+
+export { ShippingEstimator };
+export default ShippingEstimator;
@@ -0,0 +1,224 @@
+import { CartError } from './cart-error.js';
+
+// =============================================================================
+// ShopifyAjaxAdapter
+// =============================================================================
+
+/**
+ * Default cart adapter that talks to Shopify's AJAX Cart API.
+ * Every method resolves with the parsed JSON response and rejects with a CartError on failure.
+ * Endpoints are resolved under the storefront's routes root, so Shopify Markets subfolders
+ * such as /en-ca/ keep working.
+ */
+class ShopifyAjaxAdapter {
+	// Cart endpoints, relative to the routes root
+	static #defaultRoutes = {
+		cart: 'cart.json',
+		cartAdd: 'cart/add.json',
+		cartChange: 'cart/change.json',
+		cartUpdate: 'cart/update.json',
+		cartClear: 'cart/clear.json',
+		prepareShippingRates: 'cart/prepare_shipping_rates.json',
+		asyncShippingRates: 'cart/async_shipping_rates.json',
+	};
+
+	#routesRoot;
+	#routes;
+
+	/**
+	 * @param {Object} [options={}] - Adapter options
+	 * @param {string} [options.routesRoot] - Routes root for this adapter, e.g. '/en-ca/'.
+	 *   Takes precedence over a panel's routes-root attribute and window.Shopify.routes.root.
+	 * @param {Object} [options.routes={}] - Endpoint paths keyed by route name. Paths starting
+	 *   with / or a protocol are used as-is, others are resolved under the routes root.
+	 */
+	constructor(options = {}) {
+		this.#routesRoot = options.routesRoot ?? null;
+		this.#routes = { ...ShopifyAjaxAdapter.#defaultRoutes, ...options.routes };
+	}
+
+	/**
+	 * Resolve a cart endpoint URL
+	 * @param {string} name - Route name: cart, cartAdd, cartChange, cartUpdate, cartClear,
+	 *   prepareShippingRates or asyncShippingRates
+	 * @param {Object} [options] - Request options
+	 * @param {string} [options.routesRoot] - Routes root used when the adapter has none
+	 * @returns {string} Endpoint URL
+	 */
+	resolveRoute(name, options = {}) {
+		const path = this.#routes[name];
+		if (!path) throw new Error(`Unknown cart route: ${name}`);
+
+		// Absolute paths and full URLs are overrides that skip the routes root
+		if (/^(\/|[a-z][a-z\d+.-]*:)/i.test(path)) return path;
+
+		const root = this.#routesRoot || options.routesRoot || window.Shopify?.routes?.root || '/';
+		return `${root.replace(/\/?$/, '/')}${path}`;
+	}
+
+	/**
+	 * Fetch the current cart
+	 * @param {Object} [options] - Request options, see resolveRoute()
+	 * @returns {Promise<Object>} Cart data object
+	 */
+	get(options = {}) {
+		return this.#request(this.resolveRoute('cart', options), {
+			credentials: 'same-origin',
+		});
+	}
+
+	/**
+	 * Add line items to the cart
+	 * @param {Array<Object>} items - Line items with id, quantity, properties, selling_plan
+	 * @param {Object} [options] - Request options
+	 * @param {string} [options.routesRoot] - Routes root, see resolveRoute()
+	 * @param {Array<string>} [options.sections] - Theme sections to render with the response
+	 * @param {string} [options.sectionsUrl] - Page path the sections are rendered for
+	 * @returns {Promise<Object>} Shopify add response containing the added items (and sections)
+	 */
+	add(items, options = {}) {
+		return this.#post(this.resolveRoute('cartAdd', options), {
+			items,
+			...this.#sectionParams(options),
+		});
+	}
+
+	/**
+	 * Change a single line in the cart
+	 * @param {Object} line - Change payload with id (line key), quantity and optional properties
+	 * @param {Object} [options] - Request options, see add()
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	change(line, options = {}) {
+		return this.#post(this.resolveRoute('cartChange', options), {
+			...line,
+			...this.#sectionParams(options),
+		});
+	}
+
+	/**
+	 * Update several lines, the note or cart attributes at once
+	 * @param {Object} payload - Update payload with updates, note, attributes, discount
+	 * @param {Object} [options] - Request options, see add()
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	update(payload, options = {}) {
+		return this.#post(this.resolveRoute('cartUpdate', options), {
+			...payload,
+			...this.#sectionParams(options),
+		});
+	}
+
+	/**
+	 * Remove every line from the cart
+	 * @param {Object} [options] - Request options, see resolveRoute()
+	 * @returns {Promise<Object>} Updated (empty) cart data object
+	 */
+	clear(options = {}) {
+		return this.#post(this.resolveRoute('cartClear', options), {});
+	}
+
+	/**
+	 * Ask Shopify to start calculating shipping rates for an address
+	 * @param {Object} address - Address with country, province and zip
+	 * @param {Object} [options] - Request options, see resolveRoute()
+	 * @returns {Promise<null>} Resolves once the calculation has been queued
+	 */
+	prepareShippingRates(address, options = {}) {
+		const url = this.resolveRoute('prepareShippingRates', options);
+		return this.#request(`${url}?${this.#addressQuery(address)}`, {
+			method: 'POST',
+			credentials: 'same-origin',
+		});
+	}
+
+	/**
+	 * Fetch shipping rates prepared by prepareShippingRates()
+	 * @param {Object} address - The same address passed to prepareShippingRates()
+	 * @param {Object} [options] - Request options, see resolveRoute()
+	 * @returns {Promise<Array<Object>|null>} Shipping rates, or null while Shopify is still calculating
+	 */
+	getShippingRates(address, options = {}) {
+		const url = this.resolveRoute('asyncShippingRates', options);
+		return this.#request(`${url}?${this.#addressQuery(address)}`, {
+			credentials: 'same-origin',
+		}).then((body) => body?.shipping_rates ?? null);
+	}
+
+	/**
+	 * Build the Section Rendering API body fields
+	 * @private
+	 */
+	#sectionParams({ sections, sectionsUrl } = {}) {
+		if (!sections?.length) return {};
+
+		const params = { sections: sections.join(',') };
+		if (sectionsUrl) params.sections_url = sectionsUrl;
+		return params;
+	}
+
+	/**
+	 * Build the shipping_address[...] query string Shopify expects
+	 * @private
+	 */
+	#addressQuery(address = {}) {
+		const params = new URLSearchParams();
+		['country', 'province', 'zip'].forEach((field) => {
+			params.set(`shipping_address[${field}]`, address[field] || '');
+		});
+		return params.toString();
+	}
+
+	/**
+	 * POST a JSON body to a cart endpoint
+	 * @private
+	 */
+	#post(url, body) {
+		return this.#request(url, {
+			method: 'POST',
+			credentials: 'same-origin',
+			body: JSON.stringify(body),
+			headers: { 'Content-Type': 'application/json' },
+		});
+	}
+
+	/**
+	 * Perform a request and parse the JSON response
+	 * @private
+	 */
+	#request(url, options) {
+		return fetch(url, options).then(async (response) => {
+			if (!response.ok) {
+				// Shopify answers errors with { status, message, description }, or with
+				// field errors such as { zip: ['is not valid for Canada'] } for shipping rates
+				const body = await response.json().catch(() => ({}));
+				throw new CartError(body.message || response.statusText, {
+					status: response.status,
+					description: body.description ?? this.#describeFieldErrors(body),
+				});
+			}
+
+			// Shipping rate endpoints can answer with an empty body
+			const text = await response.text();
+			return text ? JSON.parse(text) : null;
+		});
+	}
+
+	/**
+	 * Turn { zip: ['is not valid'] } style errors into a readable sentence
+	 * @private
+	 */
+	#describeFieldErrors(body) {
+		const messages = Object.entries(body || {})
+			.filter(([, errors]) => Array.isArray(errors))
+			.map(
+				([field, errors]) =>
+					`${field.charAt(0).toUpperCase()}${field.slice(1)} ${errors.join(', ')}`
+			);
+
+		return messages.length ? messages.join('. ') : null;
+	}
+}
+
+export { ShopifyAjaxAdapter };
+export default ShopifyAjaxAdapter;
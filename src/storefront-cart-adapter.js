@@ -0,0 +1,541 @@
+import { CartError } from './cart-error.js';
+
+// =============================================================================
+// StorefrontCartAdapter
+// =============================================================================
+
+const CART_FRAGMENT = `
+	fragment CartFields on Cart {
+		id
+		checkoutUrl
+		totalQuantity
+		note
+		attributes { key value }
+		discountCodes { code applicable }
+		cost {
+			subtotalAmount { amount currencyCode }
+			totalAmount { amount currencyCode }
+		}
+		lines(first: 250) {
+			edges {
+				node {
+					id
+					quantity
+					attributes { key value }
+					cost {
+						amountPerQuantity { amount }
+						compareAtAmountPerQuantity { amount }
+						totalAmount { amount }
+					}
+					sellingPlanAllocation { sellingPlan { id name } }
+					merchandise {
+						... on ProductVariant {
+							id
+							title
+							image { url altText }
+							product { id title handle }
+						}
+					}
+				}
+			}
+		}
+	}
+`;
+
+const CART_QUERY = `
+	query CartQuery($cartId: ID!) {
+		cart(id: $cartId) { ...CartFields }
+	}
+	${CART_FRAGMENT}
+`;
+
+const CART_CREATE_MUTATION = `
+	mutation CartCreate($input: CartInput!) {
+		cartCreate(input: $input) {
+			cart { ...CartFields }
+			userErrors { field message }
+		}
+	}
+	${CART_FRAGMENT}
+`;
+
+const CART_LINES_ADD_MUTATION = `
+	mutation CartLinesAdd($cartId: ID!, $lines: [CartLineInput!]!) {
+		cartLinesAdd(cartId: $cartId, lines: $lines) {
+			cart { ...CartFields }
+			userErrors { field message }
+		}
+	}
+	${CART_FRAGMENT}
+`;
+
+const CART_LINES_UPDATE_MUTATION = `
+	mutation CartLinesUpdate($cartId: ID!, $lines: [CartLineUpdateInput!]!) {
+		cartLinesUpdate(cartId: $cartId, lines: $lines) {
+			cart { ...CartFields }
+			userErrors { field message }
+		}
+	}
+	${CART_FRAGMENT}
+`;
+
+const CART_LINES_REMOVE_MUTATION = `
+	mutation CartLinesRemove($cartId: ID!, $lineIds: [ID!]!) {
+		cartLinesRemove(cartId: $cartId, lineIds: $lineIds) {
+			cart { ...CartFields }
+			userErrors { field message }
+		}
+	}
+	${CART_FRAGMENT}
+`;
+
+const CART_NOTE_UPDATE_MUTATION = `
+	mutation CartNoteUpdate($cartId: ID!, $note: String!) {
+		cartNoteUpdate(cartId: $cartId, note: $note) {
+			cart { ...CartFields }
+			userErrors { field message }
+		}
+	}
+	${CART_FRAGMENT}
+`;
+
+const CART_ATTRIBUTES_UPDATE_MUTATION = `
+	mutation CartAttributesUpdate($cartId: ID!, $attributes: [AttributeInput!]!) {
+		cartAttributesUpdate(cartId: $cartId, attributes: $attributes) {
+			cart { ...CartFields }
+			userErrors { field message }
+		}
+	}
+	${CART_FRAGMENT}
+`;
+
+const CART_DISCOUNT_CODES_UPDATE_MUTATION = `
+	mutation CartDiscountCodesUpdate($cartId: ID!, $discountCodes: [String!]) {
+		cartDiscountCodesUpdate(cartId: $cartId, discountCodes: $discountCodes) {
+			cart { ...CartFields }
+			userErrors { field message }
+		}
+	}
+	${CART_FRAGMENT}
+`;
+
+/**
+ * Cart adapter for Shopify's Storefront API (GraphQL), for headless storefronts.
+ * Persists the cart ID between page loads and maps the GraphQL cart onto the
+ * AJAX Cart API shape so cart-item templates work unchanged.
+ */
+class StorefrontCartAdapter {
+	#endpoint;
+	#accessToken;
+	#storageKey;
+	#storage;
+
+	/**
+	 * @param {Object} options - Adapter options
+	 * @param {string} [options.endpoint] - Full GraphQL endpoint URL (e.g. a local stand-in server)
+	 * @param {string} [options.storeDomain] - Shop domain, used when no endpoint is given
+	 * @param {string} [options.apiVersion='2024-07'] - Storefront API version
+	 * @param {string} [options.accessToken] - Public Storefront API access token
+	 * @param {string} [options.storageKey='cart-panel:storefront-cart-id'] - Key used to persist the cart ID
+	 * @param {Storage} [options.storage=localStorage] - Storage used to persist the cart ID
+	 */
+	constructor(options = {}) {
+		const { endpoint, storeDomain, apiVersion = '2024-07', accessToken = null } = options;
+
+		if (!endpoint && !storeDomain) {
+			throw new Error('Storefront adapter requires an endpoint or storeDomain');
+		}
+
+		this.#endpoint = endpoint || `https://${storeDomain}/api/${apiVersion}/graphql.json`;
+		this.#accessToken = accessToken;
+		this.#storageKey = options.storageKey || 'cart-panel:storefront-cart-id';
+		this.#storage = options.storage || StorefrontCartAdapter.#defaultStorage();
+	}
+
+	/**
+	 * Get the persisted Storefront cart ID
+	 * @returns {string|null} Cart ID (gid) or null if no cart exists yet
+	 */
+	get cartId() {
+		return this.#storage?.getItem(this.#storageKey) || null;
+	}
+
+	/**
+	 * Fetch the current cart, returning an empty cart if none exists yet
+	 * @returns {Promise<Object>} Cart data object
+	 */
+	async get() {
+		const cart = await this.#fetchCart();
+		return cart ? StorefrontCartAdapter.#mapCart(cart) : StorefrontCartAdapter.#emptyCart();
+	}
+
+	/**
+	 * Add line items, creating the cart on first use
+	 * @param {Array<Object>} items - Line items with id, quantity, properties, selling_plan
+	 * @returns {Promise<Object>} Object containing the lines created or increased by this add
+	 */
+	async add(items) {
+		const lines = items.map((item) => ({
+			merchandiseId: StorefrontCartAdapter.#toGid('ProductVariant', item.id),
+			quantity: parseInt(item.quantity ?? 1),
+			attributes: StorefrontCartAdapter.#toAttributeInput(item.properties),
+			...(item.selling_plan && {
+				sellingPlanId: StorefrontCartAdapter.#toGid('SellingPlan', item.selling_plan),
+			}),
+		}));
+
+		const previousCart = await this.#fetchCart();
+		const cart = previousCart
+			? await this.#mutate(CART_LINES_ADD_MUTATION, 'cartLinesAdd', {
+					cartId: previousCart.id,
+					lines,
+				})
+			: await this.#createCart({ lines });
+
+		// Like /cart/add.json, only report lines this add created or merged into, not
+		// older lines of the same variant with other properties
+		const previousQuantities = new Map(
+			(previousCart ? StorefrontCartAdapter.#mapCart(previousCart).items : []).map((item) => [
+				item.key,
+				item.quantity,
+			])
+		);
+		const merchandiseIds = new Set(lines.map((line) => line.merchandiseId));
+		const added = StorefrontCartAdapter.#mapCart(cart).items.filter(
+			(item) =>
+				merchandiseIds.has(item.variant_id) &&
+				item.quantity > (previousQuantities.get(item.key) ?? 0)
+		);
+
+		return { items: added };
+	}
+
+	/**
+	 * Change a single line by key (line ID) or 1-based line number
+	 * @param {Object} line - Change payload with id or line, quantity and optional properties
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	async change(line) {
+		const cartId = this.cartId;
+		if (!cartId) throw StorefrontCartAdapter.#lineNotFound();
+
+		let lineId = line.id;
+		if (line.line !== undefined) {
+			const current = await this.get();
+			lineId = current.items[parseInt(line.line) - 1]?.key;
+		}
+		if (!lineId) throw StorefrontCartAdapter.#lineNotFound();
+
+		const quantity = line.quantity !== undefined ? parseInt(line.quantity) : undefined;
+
+		if (quantity === 0) {
+			return StorefrontCartAdapter.#mapCart(
+				await this.#mutate(CART_LINES_REMOVE_MUTATION, 'cartLinesRemove', {
+					cartId,
+					lineIds: [lineId],
+				})
+			);
+		}
+
+		const update = { id: lineId };
+		if (quantity !== undefined) update.quantity = quantity;
+		if (line.properties) {
+			update.attributes = StorefrontCartAdapter.#toAttributeInput(line.properties);
+		}
+
+		return StorefrontCartAdapter.#mapCart(
+			await this.#mutate(CART_LINES_UPDATE_MUTATION, 'cartLinesUpdate', {
+				cartId,
+				lines: [update],
+			})
+		);
+	}
+
+	/**
+	 * Update several lines, the note, cart attributes or discount codes
+	 * @param {Object} payload - Update payload with updates, note, attributes, discount
+	 * @returns {Promise<Object>} Updated cart data object
+	 */
+	async update(payload = {}) {
+		const { updates, note, attributes, discount } = payload;
+		const cartId = await this.#ensureCartId({ create: true });
+		let cart = null;
+
+		if (updates) {
+			const current = await this.get();
+			const entries = Array.isArray(updates)
+				? updates.map((quantity, index) => [current.items[index]?.key, quantity])
+				: Object.entries(updates);
+			const lines = entries
+				.filter(([id]) => id)
+				.map(([id, quantity]) => ({ id, quantity: parseInt(quantity) }));
+
+			if (lines.length) {
+				cart = await this.#mutate(CART_LINES_UPDATE_MUTATION, 'cartLinesUpdate', {
+					cartId,
+					lines,
+				});
+			}
+		}
+
+		if (note !== undefined) {
+			cart = await this.#mutate(CART_NOTE_UPDATE_MUTATION, 'cartNoteUpdate', {
+				cartId,
+				note: note || '',
+			});
+		}
+
+		if (attributes) {
+			// cartAttributesUpdate replaces the full set, so merge with what is already there
+			const current = cart ? StorefrontCartAdapter.#mapCart(cart) : await this.get();
+			const merged = { ...current.attributes, ...attributes };
+			Object.keys(merged).forEach((name) => {
+				if (merged[name] === '' || merged[name] === null) delete merged[name];
+			});
+
+			cart = await this.#mutate(CART_ATTRIBUTES_UPDATE_MUTATION, 'cartAttributesUpdate', {
+				cartId,
+				attributes: StorefrontCartAdapter.#toAttributeInput(merged),
+			});
+		}
+
+		if (discount !== undefined) {
+			cart = await this.#mutate(CART_DISCOUNT_CODES_UPDATE_MUTATION, 'cartDiscountCodesUpdate', {
+				cartId,
+				discountCodes: String(discount || '')
+					.split(',')
+					.map((code) => code.trim())
+					.filter(Boolean),
+			});
+		}
+
+		return cart ? StorefrontCartAdapter.#mapCart(cart) : this.get();
+	}
+
+	/**
+	 * Remove every line from the cart
+	 * @returns {Promise<Object>} Updated (empty) cart data object
+	 */
+	async clear() {
+		const current = await this.get();
+		if (!current.token || !current.items.length) return current;
+
+		return StorefrontCartAdapter.#mapCart(
+			await this.#mutate(CART_LINES_REMOVE_MUTATION, 'cartLinesRemove', {
+				cartId: current.token,
+				lineIds: current.items.map((item) => item.key),
+			})
+		);
+	}
+
+	// =========================================================================
+	// Private Methods - Requests
+	// =========================================================================
+
+	/**
+	 * Fetch the persisted cart, forgetting the ID if the cart has expired
+	 * @private
+	 */
+	async #fetchCart() {
+		const cartId = this.cartId;
+		if (!cartId) return null;
+
+		const data = await this.#graphql(CART_QUERY, { cartId });
+		if (!data.cart) this.#storage?.removeItem(this.#storageKey);
+
+		return data.cart;
+	}
+
+	/**
+	 * Return the persisted cart ID, optionally creating an empty cart
+	 * @private
+	 */
+	async #ensureCartId({ create = false } = {}) {
+		const cart = await this.#fetchCart();
+		if (cart) return cart.id;
+		if (!create) return null;
+
+		return (await this.#createCart({})).id;
+	}
+
+	/**
+	 * Create a cart and persist its ID
+	 * @private
+	 */
+	async #createCart(input) {
+		const cart = await this.#mutate(CART_CREATE_MUTATION, 'cartCreate', { input });
+		this.#storage?.setItem(this.#storageKey, cart.id);
+		return cart;
+	}
+
+	/**
+	 * Run a cart mutation and return the resulting cart, rejecting on user errors
+	 * @private
+	 */
+	async #mutate(mutation, field, variables) {
+		const data = await this.#graphql(mutation, variables);
+		const { cart, userErrors = [] } = data[field] || {};
+
+		if (userErrors.length) {
+			throw new CartError('Cart Error', { status: 422, description: userErrors[0].message });
+		}
+		return cart;
+	}
+
+	/**
+	 * POST a GraphQL operation to the Storefront API
+	 * @private
+	 */
+	async #graphql(query, variables) {
+		const headers = { 'Content-Type': 'application/json' };
+		if (this.#accessToken) headers['X-Shopify-Storefront-Access-Token'] = this.#accessToken;
+
+		const response = await fetch(this.#endpoint, {
+			method: 'POST',
+			headers,
+			body: JSON.stringify({ query, variables }),
+		});
+		if (!response.ok) {
+			throw new CartError(response.statusText, { status: response.status });
+		}
+
+		const { data, errors } = await response.json();
+		if (errors?.length) {
+			throw new CartError('GraphQL Error', {
+				status: response.status,
+				description: errors[0].message,
+			});
+		}
+		return data;
+	}
+
+	// =========================================================================
+	// Private Methods - Mapping
+	// =========================================================================
+
+	/**
+	 * Map a Storefront API cart onto the AJAX Cart API shape
+	 * @private
+	 */
+	static #mapCart(cart) {
+		const toCents = StorefrontCartAdapter.#toCents;
+		const items = cart.lines.edges.map(({ node }) => {
+			const variant = node.merchandise || {};
+			const price = toCents(node.cost.amountPerQuantity?.amount);
+			const linePrice = toCents(node.cost.totalAmount?.amount);
+			const sellingPlan = node.sellingPlanAllocation?.sellingPlan;
+
+			return {
+				key: node.id,
+				id: variant.id,
+				variant_id: variant.id,
+				product_id: variant.product?.id,
+				handle: variant.product?.handle,
+				product_title: variant.product?.title,
+				variant_title: variant.title,
+				title: variant.product?.title,
+				image: variant.image?.url || null,
+				quantity: node.quantity,
+				price,
+				final_price: price,
+				original_price: toCents(node.cost.compareAtAmountPerQuantity?.amount) || price,
+				line_price: linePrice,
+				final_line_price: linePrice,
+				properties: StorefrontCartAdapter.#fromAttributeInput(node.attributes),
+				selling_plan_allocation: sellingPlan
+					? { selling_plan: { id: sellingPlan.id, name: sellingPlan.name } }
+					: null,
+			};
+		});
+
+		return {
+			token: cart.id,
+			checkout_url: cart.checkoutUrl,
+			note: cart.note,
+			attributes: StorefrontCartAdapter.#fromAttributeInput(cart.attributes),
+			currency: cart.cost.totalAmount?.currencyCode || null,
+			item_count: cart.totalQuantity,
+			items_subtotal_price: toCents(cart.cost.subtotalAmount?.amount),
+			total_price: toCents(cart.cost.totalAmount?.amount),
+			discount_codes: cart.discountCodes || [],
+			items,
+		};
+	}
+
+	/**
+	 * Cart returned before the first item is added
+	 * @private
+	 */
+	static #emptyCart() {
+		return {
+			token: null,
+			note: null,
+			attributes: {},
+			currency: null,
+			item_count: 0,
+			items_subtotal_price: 0,
+			total_price: 0,
+			discount_codes: [],
+			items: [],
+		};
+	}
+
+	/**
+	 * Convert a decimal money amount string to cents
+	 * @private
+	 */
+	static #toCents(amount) {
+		return amount ? Math.round(parseFloat(amount) * 100) : 0;
+	}
+
+	/**
+	 * Convert a numeric ID into a Shopify global ID
+	 * @private
+	 */
+	static #toGid(type, id) {
+		const value = String(id);
+		return value.startsWith('gid://') ? value : `gid://shopify/${type}/${value}`;
+	}
+
+	/**
+	 * Convert a properties object into a GraphQL AttributeInput list
+	 * @private
+	 */
+	static #toAttributeInput(properties = {}) {
+		return Object.entries(properties || {}).map(([key, value]) => ({ key, value: String(value) }));
+	}
+
+	/**
+	 * Convert a GraphQL attribute list into a properties object
+	 * @private
+	 */
+	static #fromAttributeInput(attributes = []) {
+		return (attributes || []).reduce((result, { key, value }) => {
+			result[key] = value;
+			return result;
+		}, {});
+	}
+
+	/**
+	 * Error for a change that targets a line that does not exist
+	 * @private
+	 */
+	static #lineNotFound() {
+		return new CartError('Cart Error', { status: 400, description: 'Cart line not found' });
+	}
+
+	/**
+	 * Use localStorage when it is available
+	 * @private
+	 */
+	static #defaultStorage() {
+		try {
+			return window.localStorage;
+		} catch {
+			return null;
+		}
+	}
+}
+
+export { StorefrontCartAdapter };
+export default StorefrontCartAdapter;